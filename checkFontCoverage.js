@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Font Coverage Checker
+ *
+ * This script checks which emoji in allEmoji.json the fonts we ship can draw,
+ * and marks each record with `renderable: true` or `renderable: false`. The
+ * translator skips unrenderable emoji with --renderable-only. It is also
+ * available as `symbollify check-font`.
+ *
+ * Usage:
+ *   node checkFontCoverage.js --font PATH [--font PATH]... [--list]
+ *
+ * Options:
+ *   --font   TTF, OTF or TTC font file; can be repeated, and an emoji is
+ *            renderable when any of the fonts draws it
+ *   --list   List the emoji that can't be rendered
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadFont, canRender } = require('./fontCoverage');
+const { loadConfig } = require('./config');
+const cli = require('./cli');
+
+// Configuration
+const CONFIG = {
+  EMOJI_JSON_PATH: loadConfig().emojiPath,
+};
+
+// Command definition, shared with `symbollify check-font`
+const command = {
+  name: 'check-font',
+  description: 'Mark the emoji in allEmoji.json that a local emoji font can draw as renderable.',
+  options: {
+    font: {
+      type: 'string',
+      multiple: true,
+      valueName: 'PATH',
+      description: 'TTF, OTF or TTC font file; can be repeated, and an emoji\nis renderable when any of the fonts draws it'
+    },
+    list: {
+      type: 'boolean',
+      description: "List the emoji that can't be rendered"
+    }
+  },
+  examples: [
+    '--font /usr/share/fonts/truetype/noto/NotoColorEmoji.ttf',
+    '--font fonts/Twemoji.ttf --font fonts/NotoEmoji.ttf --list'
+  ],
+  run: main
+};
+
+/**
+ * Main function
+ *
+ * @param {Object} values - Option values from cli.parseCommandArgs()
+ */
+async function main(values) {
+  if (!values.font || values.font.length === 0) {
+    throw new cli.UsageError('Give at least one font with --font PATH');
+  }
+
+  if (!fs.existsSync(CONFIG.EMOJI_JSON_PATH)) {
+    console.error(`Error: ${CONFIG.EMOJI_JSON_PATH} not found. Please run index.js first.`);
+    return cli.EXIT_CODES.FAILURE;
+  }
+
+  const fonts = [];
+  for (const fontPath of values.font) {
+    try {
+      const font = loadFont(fontPath);
+      console.log(`Read ${path.basename(fontPath)}: ${font.cmap.size} characters, ${font.ligatures.length} ligature lookups`);
+      fonts.push(font);
+    } catch (error) {
+      console.error(`Error reading font ${fontPath}: ${error.message}`);
+      return cli.EXIT_CODES.FAILURE;
+    }
+  }
+
+  const allEmojiData = JSON.parse(fs.readFileSync(CONFIG.EMOJI_JSON_PATH, 'utf8'));
+  const unrenderable = [];
+  let checked = 0;
+
+  for (const item of allEmojiData) {
+    if (typeof item === 'string') continue;
+
+    item.renderable = fonts.some(font => canRender(font, item.emoji));
+    if (!item.renderable) unrenderable.push(item.emoji);
+    checked++;
+  }
+
+  if (checked < allEmojiData.length) {
+    console.warn(`Warning: Skipped ${allEmojiData.length - checked} plain emoji strings; use the full format to annotate them`);
+  }
+
+  fs.writeFileSync(CONFIG.EMOJI_JSON_PATH, JSON.stringify(allEmojiData, null, 2), 'utf8');
+
+  console.log(`Renderable: ${checked - unrenderable.length} of ${checked} emoji`);
+  if (values.list && unrenderable.length > 0) {
+    console.log(`\nCan't be rendered (${unrenderable.length}):`);
+    console.log(unrenderable.join(' '));
+  }
+  console.log(`Saved renderable flags to ${CONFIG.EMOJI_JSON_PATH}`);
+}
+
+// Run the main function
+if (require.main === module) {
+  cli.runCommand(command);
+}
+
+module.exports = { command };
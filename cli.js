@@ -0,0 +1,187 @@
+/**
+ * Command Line Helpers
+ *
+ * Shared option parsing, help output and exit codes for the symbollify
+ * commands. Each script describes its command once:
+ *
+ *   const command = {
+ *     name: 'merge',
+ *     description: 'Merge generated words into the dictionary',
+ *     options: {
+ *       overwrite: { type: 'boolean', description: 'Overwrite existing entries' },
+ *       category: { type: 'string', default: 'Generated Emoji', description: '...' }
+ *     },
+ *     run: main
+ *   };
+ *
+ * and can then be run as `node mergeEmojiWords.js` or as `symbollify merge`.
+ * Options follow util.parseArgs(), plus `choices`, `description` and, for
+ * positional arguments, `arguments` on the command.
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+// Exit codes shared by all commands
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  INTERRUPTED: 130
+};
+
+/**
+ * Error for invalid command line input, which exits with EXIT_CODES.USAGE
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const HELP_OPTION = { type: 'boolean', short: 'h', description: 'Show this help message' };
+
+/**
+ * Format the help text of a command
+ *
+ * @param {Object} command - Command definition
+ * @param {String} program - Program name shown in the usage line
+ * @returns {String} Help text
+ */
+function formatHelp(command, program) {
+  const options = { ...command.options, help: HELP_OPTION };
+  const rows = Object.entries(options).map(([name, option]) => {
+    const flag = `--${name}${option.short ? `, -${option.short}` : ''}` +
+      (option.type === 'string' ? ` ${option.valueName || 'VALUE'}` : '');
+    const details = [];
+    if (option.choices) details.push(option.choices.join(', '));
+    if (option.default !== undefined && option.type === 'string' && !option.multiple) {
+      details.push(`default: ${option.default}`);
+    }
+
+    // Put the choices and default on a line of their own when they don't fit
+    const lines = (option.description || '').split('\n');
+    if (details.length > 0) {
+      const text = `(${details.join('; ')})`;
+      const last = lines.length - 1;
+      if (lines[last].length + text.length < 60) {
+        lines[last] = `${lines[last]} ${text}`.trim();
+      } else {
+        lines.push(text);
+      }
+    }
+    return [flag, lines];
+  });
+
+  const width = Math.max(...rows.map(([flag]) => flag.length)) + 2;
+  const lines = [
+    command.description,
+    '',
+    'Usage:',
+    `  ${program} [options]${command.arguments ? ` ${command.arguments}` : ''}`,
+    '',
+    'Options:',
+    ...rows.map(([flag, description]) =>
+      `  ${flag.padEnd(width)}${description.join(`\n  ${' '.repeat(width)}`)}`
+    )
+  ];
+
+  if (command.examples && command.examples.length > 0) {
+    lines.push('', 'Examples:', ...command.examples.map(example => `  ${program} ${example}`.trimEnd()));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse the arguments of a command
+ *
+ * @param {Object} command - Command definition
+ * @param {Array} args - Arguments after the command name
+ * @returns {Object} Object with the option values and the positionals
+ * @throws {UsageError} When an option is unknown, misses its value or has a
+ *   value outside its choices
+ */
+function parseCommandArgs(command, args) {
+  const parseOptions = {};
+  for (const [name, option] of Object.entries({ ...command.options, help: HELP_OPTION })) {
+    parseOptions[name] = { type: option.type };
+    for (const key of ['short', 'multiple', 'default']) {
+      if (option[key] !== undefined) parseOptions[name][key] = option[key];
+    }
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: parseOptions,
+      allowPositionals: Boolean(command.arguments),
+      strict: true
+    });
+  } catch (error) {
+    if (!String(error.code).startsWith('ERR_PARSE_ARGS_')) throw error;
+    throw new UsageError(error.message);
+  }
+
+  for (const [name, option] of Object.entries(command.options)) {
+    const values = [].concat(parsed.values[name] ?? []);
+    const invalid = option.choices && values.find(value => !option.choices.includes(value));
+    if (invalid) {
+      throw new UsageError(`Invalid value for --${name}: ${invalid}. Expected one of: ${option.choices.join(', ')}`);
+    }
+  }
+
+  return { values: parsed.values, positionals: parsed.positionals };
+}
+
+/**
+ * Parse the arguments, run the command and set the exit code
+ *
+ * The command's run(values, positionals) may return an exit code; it
+ * defaults to EXIT_CODES.SUCCESS. Usage errors exit with EXIT_CODES.USAGE and
+ * other errors with EXIT_CODES.FAILURE.
+ *
+ * @param {Object} command - Command definition
+ * @param {Array} args - Arguments after the command name (default: process.argv)
+ * @param {String} program - Program name for help and error messages
+ *   (default: node <script>)
+ * @returns {Promise<Number>} Exit code
+ */
+async function runCommand(command, args = process.argv.slice(2), program = `node ${path.basename(process.argv[1])}`) {
+  let exitCode;
+
+  try {
+    const { values, positionals } = parseCommandArgs(command, args);
+
+    if (values.help) {
+      console.log(formatHelp(command, program));
+      exitCode = EXIT_CODES.SUCCESS;
+    } else {
+      const result = await command.run(values, positionals);
+      exitCode = typeof result === 'number' ? result : EXIT_CODES.SUCCESS;
+    }
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}`);
+      console.error(`Run '${program} --help' for usage.`);
+      exitCode = EXIT_CODES.USAGE;
+    } else {
+      console.error('Error:', error.message);
+      exitCode = EXIT_CODES.FAILURE;
+    }
+  }
+
+  // Let pending output and servers finish instead of calling process.exit()
+  process.exitCode = exitCode;
+  return exitCode;
+}
+
+module.exports = {
+  EXIT_CODES,
+  UsageError,
+  formatHelp,
+  parseCommandArgs,
+  runCommand
+};
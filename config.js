@@ -0,0 +1,192 @@
+/**
+ * Project Configuration
+ *
+ * Paths and parameters of the pipeline, read from a JSON config file and
+ * environment variables, so several dictionaries can be maintained from one
+ * checkout. Later sources win:
+ *
+ * 1. The defaults below, relative to the project directory
+ * 2. The config file: $SYMBOLLIFY_CONFIG, or the first symbollify.config.json
+ *    or .symbollifyrc found in the current directory, then in the project
+ *    directory. Relative paths are resolved against the config file's directory.
+ * 3. Environment variables, such as SYMBOLLIFY_DICTIONARY_PATH. Relative paths
+ *    are resolved against the current directory.
+ *
+ * Example symbollify.config.json:
+ *   {
+ *     "dictionaryPath": "dictionaries/animals.js",
+ *     "generatedDir": "dictionaries/animals_words",
+ *     "batchSize": 8,
+ *     "extractionRanges": ["U+1F400-U+1F4FF"]
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE_NAMES = ['symbollify.config.json', '.symbollifyrc'];
+
+// Configuration loaded by loadConfig(), shared by all modules of a process
+let loadedConfig = null;
+
+// Settings with their defaults, environment variable and type; numbers are
+// whole numbers of at least min, 1 unless given. Settings that default to null
+// may be set to null in the config file, to go back to the default
+const SETTINGS = {
+  emojiPath: { default: 'allEmoji.json', env: 'SYMBOLLIFY_EMOJI_PATH', type: 'path' },
+  statePath: { default: 'emoji_generator_state.json', env: 'SYMBOLLIFY_STATE_PATH', type: 'path' },
+  failuresPath: { default: 'emoji_generator_failures.json', env: 'SYMBOLLIFY_FAILURES_PATH', type: 'path' },
+  generatedDir: { default: 'generated_words', env: 'SYMBOLLIFY_GENERATED_DIR', type: 'path' },
+  dictionaryPath: { default: 'emojiDictionary.js', env: 'SYMBOLLIFY_DICTIONARY_PATH', type: 'path' },
+  shortcodesPath: { default: 'emojiShortcodes.js', env: 'SYMBOLLIFY_SHORTCODES_PATH', type: 'path' },
+  batchSize: { default: 4, env: 'SYMBOLLIFY_BATCH_SIZE', type: 'number' },
+  minWords: { default: 10, env: 'SYMBOLLIFY_MIN_WORDS', type: 'number' },
+  maxWords: { default: 20, env: 'SYMBOLLIFY_MAX_WORDS', type: 'number' },
+  // Checks on generated words (see wordValidator.js); null runs every step
+  maxPhraseWords: { default: 3, env: 'SYMBOLLIFY_MAX_PHRASE_WORDS', type: 'number' },
+  blocklist: { default: [], env: 'SYMBOLLIFY_BLOCKLIST', type: 'list' },
+  validationSteps: { default: null, env: 'SYMBOLLIFY_VALIDATION_STEPS', type: 'list' },
+  // Prompt template for word generation, and the number of few-shot examples in it
+  promptTemplate: { default: 'prompts/words.txt', env: 'SYMBOLLIFY_PROMPT_TEMPLATE', type: 'path' },
+  fewShotExamples: { default: 3, env: 'SYMBOLLIFY_FEW_SHOT_EXAMPLES', type: 'number', min: 0 },
+  // Word generation provider (see wordProviders.js) and its parameters
+  provider: { default: 'claude', env: 'SYMBOLLIFY_PROVIDER', type: 'string' },
+  providerCommand: { default: null, env: 'SYMBOLLIFY_PROVIDER_COMMAND', type: 'string' },
+  providerUrl: { default: 'http://localhost:11434/v1', env: 'SYMBOLLIFY_PROVIDER_URL', type: 'string' },
+  providerModel: { default: null, env: 'SYMBOLLIFY_PROVIDER_MODEL', type: 'string' },
+  providerTimeout: { default: 30, env: 'SYMBOLLIFY_PROVIDER_TIMEOUT', type: 'number' },
+  // Batches generated at the same time, and requests per minute (null: no limit)
+  concurrency: { default: 1, env: 'SYMBOLLIFY_CONCURRENCY', type: 'number' },
+  rateLimit: { default: null, env: 'SYMBOLLIFY_RATE_LIMIT', type: 'number' },
+  // Batches in a row that may fail on provider errors before generation stops
+  maxFailedBatches: { default: 3, env: 'SYMBOLLIFY_MAX_FAILED_BATCHES', type: 'number' },
+  // Code point ranges such as "U+1F300-U+1F5FF" for the property-regex and
+  // range extraction strategies; null keeps the built-in list
+  extractionRanges: { default: null, env: 'SYMBOLLIFY_EXTRACTION_RANGES', type: 'list' },
+};
+
+/**
+ * Find the config file to use
+ *
+ * @returns {String|null} Path to the config file, or null when there is none
+ */
+function findConfigFile() {
+  if (process.env.SYMBOLLIFY_CONFIG) {
+    return path.resolve(process.env.SYMBOLLIFY_CONFIG);
+  }
+
+  for (const dir of [process.cwd(), __dirname]) {
+    for (const fileName of CONFIG_FILE_NAMES) {
+      const filePath = path.join(dir, fileName);
+      if (fs.existsSync(filePath)) {
+        return filePath;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check and convert a setting value
+ *
+ * @param {String} name - Setting name
+ * @param {*} value - Value from the config file or environment
+ * @param {String} baseDir - Directory that relative paths are resolved against
+ * @param {String} source - Where the value comes from, for error messages
+ * @returns {*} The converted value
+ */
+function convertSetting(name, value, baseDir, source) {
+  const { type, min = 1 } = SETTINGS[name];
+  const fail = expected => {
+    throw new Error(`Invalid ${name} in ${source}: ${JSON.stringify(value)}. Expected ${expected}`);
+  };
+
+  if (value === null && SETTINGS[name].default === null) {
+    return null;
+  }
+
+  if (type === 'path') {
+    if (typeof value !== 'string' || value === '') fail('a path');
+    return path.resolve(baseDir, value);
+  }
+
+  if (type === 'string') {
+    if (typeof value !== 'string' || value === '') fail('a string');
+    return value;
+  }
+
+  if (type === 'number') {
+    const number = value === '' ? NaN : Number(value);
+    if (!Number.isInteger(number) || number < min) fail(`a whole number of ${min} or more`);
+    return number;
+  }
+
+  // Lists are arrays in the config file and comma-separated in the environment
+  const list = typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+  if (!Array.isArray(list) || !list.every(item => typeof item === 'string')) fail('a list of strings');
+  return list;
+}
+
+/**
+ * Load the configuration, once per process
+ *
+ * @returns {Object} Settings (emojiPath, statePath, failuresPath, generatedDir,
+ *   dictionaryPath, shortcodesPath, batchSize, minWords, maxWords,
+ *   maxPhraseWords, blocklist, validationSteps, promptTemplate,
+ *   fewShotExamples, provider, providerCommand, providerUrl, providerModel,
+ *   providerTimeout, concurrency, rateLimit, maxFailedBatches,
+ *   extractionRanges) and configFile, the path of the config file that was
+ *   read or null
+ * @throws {Error} When the config file can't be read or a value is invalid
+ */
+function loadConfig() {
+  if (loadedConfig) {
+    return loadedConfig;
+  }
+
+  const config = {};
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    config[name] = setting.type === 'path' ? path.join(__dirname, setting.default) : setting.default;
+  }
+
+  // Config file
+  const configFile = findConfigFile();
+  if (configFile) {
+    let fileSettings;
+    try {
+      fileSettings = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read config file ${configFile}: ${error.message}`);
+    }
+
+    for (const [name, value] of Object.entries(fileSettings)) {
+      if (!(name in SETTINGS)) {
+        console.warn(`Warning: Unknown setting '${name}' in ${configFile}`);
+        continue;
+      }
+      config[name] = convertSetting(name, value, path.dirname(configFile), configFile);
+    }
+  }
+
+  // Environment variables
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    const value = process.env[setting.env];
+    if (value !== undefined && value !== '') {
+      config[name] = convertSetting(name, value, process.cwd(), setting.env);
+    }
+  }
+
+  if (config.minWords > config.maxWords) {
+    throw new Error(`minWords (${config.minWords}) is larger than maxWords (${config.maxWords})`);
+  }
+
+  config.configFile = configFile;
+  loadedConfig = config;
+  return config;
+}
+
+module.exports = {
+  SETTINGS,
+  loadConfig
+};
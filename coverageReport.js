@@ -0,0 +1,267 @@
+/**
+ * Dictionary Coverage Report
+ *
+ * This module measures how well the emoji dictionary covers the extracted
+ * emoji and renders the result as Markdown or as a standalone HTML page.
+ */
+
+const emojiExtractor = require('./emojiExtractor');
+const { findFullyQualifiedEmoji, compareVersions } = require('./emojiData');
+
+// Buckets for the words-per-emoji distribution, as [label, min, max]
+const WORD_COUNT_BUCKETS = [
+  ['0', 0, 0],
+  ['1-4', 1, 4],
+  ['5-9', 5, 9],
+  ['10-14', 10, 14],
+  ['15-19', 15, 19],
+  ['20-29', 20, 29],
+  ['30+', 30, Infinity]
+];
+
+/**
+ * Calculate a coverage percentage
+ *
+ * @param {Number} covered - Number of covered emoji
+ * @param {Number} total - Total number of emoji
+ * @returns {Number} Percentage with one decimal
+ */
+function percentage(covered, total) {
+  return total === 0 ? 0 : Math.round((covered / total) * 1000) / 10;
+}
+
+/**
+ * Add an emoji to a coverage group, creating the group if needed
+ */
+function countIn(groups, key, emoji, covered) {
+  if (!groups[key]) {
+    groups[key] = { total: 0, covered: 0, uncovered: [] };
+  }
+  groups[key].total++;
+  if (covered) {
+    groups[key].covered++;
+  } else {
+    groups[key].uncovered.push(emoji);
+  }
+}
+
+/**
+ * Measure the dictionary coverage of a list of emoji
+ *
+ * @param {Array} allEmoji - Array of extracted emoji characters
+ * @param {Object} dictionary - Object mapping emoji to their words
+ * @returns {Object} Coverage data with summary, byCategory, byVersion,
+ *   wordCounts, uncovered (per category) and unknownKeys
+ */
+function buildCoverage(allEmoji, dictionary) {
+  const dictionaryEmoji = Object.keys(dictionary);
+  const byCategory = {};
+  const byVersion = {};
+  let covered = 0;
+
+  for (const emoji of allEmoji) {
+    const isCovered = emojiExtractor.isInDictionary(emoji, dictionaryEmoji);
+    const { category } = emojiExtractor.getEmojiCategory(emoji);
+    const { emojiVersion } = emojiExtractor.getEmojiVersions(emoji);
+
+    countIn(byCategory, category, emoji, isCovered);
+    countIn(byVersion, emojiVersion || 'Unknown', emoji, isCovered);
+    if (isCovered) covered++;
+  }
+
+  // Words per dictionary entry
+  const counts = Object.values(dictionary).map(words => words.length).sort((a, b) => a - b);
+  const wordCounts = {
+    min: counts.length > 0 ? counts[0] : 0,
+    median: counts.length > 0 ? counts[Math.floor(counts.length / 2)] : 0,
+    max: counts.length > 0 ? counts[counts.length - 1] : 0,
+    buckets: WORD_COUNT_BUCKETS.map(([label, min, max]) => ({
+      label,
+      entries: counts.filter(count => count >= min && count <= max).length
+    }))
+  };
+
+  // Dictionary keys the extraction doesn't have, with the fully-qualified form
+  // when the key only differs in its U+FE0F selectors
+  const extracted = new Set(allEmoji);
+  const unknownKeys = dictionaryEmoji
+    .filter(emoji => !extracted.has(emoji))
+    .map(emoji => {
+      const qualified = findFullyQualifiedEmoji(emoji);
+      return { emoji, suggestion: qualified !== emoji ? qualified : null };
+    });
+
+  const byVersionSorted = Object.entries(byVersion).sort(([a], [b]) => {
+    if (a === 'Unknown' || b === 'Unknown') return (a === 'Unknown') - (b === 'Unknown');
+    return compareVersions(a, b);
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      total: allEmoji.length,
+      covered,
+      percentage: percentage(covered, allEmoji.length),
+      dictionaryEntries: dictionaryEmoji.length
+    },
+    byCategory: Object.entries(byCategory).map(([name, group]) => ({
+      name,
+      ...group,
+      percentage: percentage(group.covered, group.total)
+    })),
+    byVersion: byVersionSorted.map(([name, group]) => ({
+      name,
+      ...group,
+      percentage: percentage(group.covered, group.total)
+    })),
+    wordCounts,
+    unknownKeys
+  };
+}
+
+/**
+ * Render coverage data as Markdown
+ *
+ * @param {Object} coverage - Result of buildCoverage()
+ * @returns {String} Markdown report
+ */
+function toMarkdown(coverage) {
+  const { summary, byCategory, byVersion, wordCounts, unknownKeys } = coverage;
+  const table = (header, rows) => [
+    `| ${header.join(' | ')} |`,
+    `|${header.map(() => '---').join('|')}|`,
+    ...rows.map(row => `| ${row.join(' | ')} |`)
+  ].join('\n');
+  const coverageRows = groups => groups.map(group =>
+    [group.name, group.covered, group.total, `${group.percentage}%`]
+  );
+
+  const lines = [
+    '# Emoji Dictionary Coverage',
+    '',
+    `Generated ${coverage.generatedAt}`,
+    '',
+    `**${summary.covered} of ${summary.total} emoji covered (${summary.percentage}%)** ` +
+      `by ${summary.dictionaryEntries} dictionary entries.`,
+    '',
+    '## Coverage by Category',
+    '',
+    table(['Category', 'Covered', 'Total', 'Coverage'], coverageRows(byCategory)),
+    '',
+    '## Coverage by Emoji Version',
+    '',
+    table(['Version', 'Covered', 'Total', 'Coverage'], coverageRows(byVersion)),
+    '',
+    '## Words per Dictionary Entry',
+    '',
+    `Minimum ${wordCounts.min}, median ${wordCounts.median}, maximum ${wordCounts.max}.`,
+    '',
+    table(['Words', 'Entries'], wordCounts.buckets.map(bucket => [bucket.label, bucket.entries])),
+    '',
+    '## Uncovered Emoji',
+    ''
+  ];
+
+  for (const group of byCategory.filter(item => item.uncovered.length > 0)) {
+    lines.push(`### ${group.name} (${group.uncovered.length})`, '', group.uncovered.join(' '), '');
+  }
+
+  lines.push('## Dictionary Keys Not in the Extraction', '');
+  if (unknownKeys.length === 0) {
+    lines.push('None.', '');
+  } else {
+    lines.push(table(['Key', 'Fully-qualified form'], unknownKeys.map(({ emoji, suggestion }) =>
+      [emoji, suggestion || '']
+    )), '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render coverage data as a standalone HTML page
+ *
+ * @param {Object} coverage - Result of buildCoverage()
+ * @returns {String} HTML document
+ */
+function toHtml(coverage) {
+  const { summary, byCategory, byVersion, wordCounts, unknownKeys } = coverage;
+  const coverageTable = (label, groups) => `
+    <table>
+      <tr><th>${label}</th><th>Covered</th><th>Total</th><th>Coverage</th></tr>
+      ${groups.map(group => `
+      <tr>
+        <td>${escapeHtml(group.name)}</td>
+        <td>${group.covered}</td>
+        <td>${group.total}</td>
+        <td><div class="bar"><div style="width: ${group.percentage}%"></div></div>${group.percentage}%</td>
+      </tr>`).join('')}
+    </table>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Emoji Dictionary Coverage</title>
+    <style>
+      body { font-family: Arial, sans-serif; margin: 2rem; color: #333; }
+      table { border-collapse: collapse; margin-bottom: 2rem; }
+      th, td { border: 1px solid #ddd; padding: 0.4rem 0.8rem; text-align: left; }
+      .bar { display: inline-block; width: 120px; height: 0.8rem; margin-right: 0.5rem; background: #eee; }
+      .bar div { height: 100%; background: #4a90e2; }
+      .emoji { font-size: 1.5rem; line-height: 2rem; word-wrap: break-word; }
+    </style>
+  </head>
+  <body>
+    <h1>Emoji Dictionary Coverage</h1>
+    <p>Generated ${escapeHtml(coverage.generatedAt)}</p>
+    <p><strong>${summary.covered} of ${summary.total} emoji covered (${summary.percentage}%)</strong>
+      by ${summary.dictionaryEntries} dictionary entries.</p>
+
+    <h2>Coverage by Category</h2>
+    ${coverageTable('Category', byCategory)}
+
+    <h2>Coverage by Emoji Version</h2>
+    ${coverageTable('Version', byVersion)}
+
+    <h2>Words per Dictionary Entry</h2>
+    <p>Minimum ${wordCounts.min}, median ${wordCounts.median}, maximum ${wordCounts.max}.</p>
+    <table>
+      <tr><th>Words</th><th>Entries</th></tr>
+      ${wordCounts.buckets.map(bucket => `<tr><td>${bucket.label}</td><td>${bucket.entries}</td></tr>`).join('\n      ')}
+    </table>
+
+    <h2>Uncovered Emoji</h2>
+    ${byCategory.filter(group => group.uncovered.length > 0).map(group => `
+    <h3>${escapeHtml(group.name)} (${group.uncovered.length})</h3>
+    <p class="emoji">${escapeHtml(group.uncovered.join(' '))}</p>`).join('')}
+
+    <h2>Dictionary Keys Not in the Extraction</h2>
+    ${unknownKeys.length === 0 ? '<p>None.</p>' : `
+    <table>
+      <tr><th>Key</th><th>Fully-qualified form</th></tr>
+      ${unknownKeys.map(({ emoji, suggestion }) =>
+        `<tr><td class="emoji">${escapeHtml(emoji)}</td><td class="emoji">${escapeHtml(suggestion || '')}</td></tr>`
+      ).join('\n      ')}
+    </table>`}
+  </body>
+</html>
+`;
+}
+
+module.exports = {
+  buildCoverage,
+  toMarkdown,
+  toHtml
+};
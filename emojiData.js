@@ -0,0 +1,334 @@
+/**
+ * Unicode Emoji Data
+ *
+ * This module parses the Unicode emoji data files vendored in the data/
+ * directory. Parsed files are cached, so repeated lookups are cheap.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Vendored Unicode data files
+const DATA_DIR = path.join(__dirname, 'data');
+const EMOJI_TEST_PATH = path.join(DATA_DIR, 'emoji-test.txt');
+const DERIVED_AGE_PATH = path.join(DATA_DIR, 'DerivedAge.txt');
+const EMOJI_DATA_PATH = path.join(DATA_DIR, 'emoji-data.txt');
+
+const cache = new Map();
+
+/**
+ * Parse the contents of emoji-test.txt
+ *
+ * Each data line looks like:
+ *   1F600 ; fully-qualified # 😀 E1.0 grinning face
+ * and belongs to the most recent "# group:" and "# subgroup:" headers. The
+ * `order` of an entry is its position among the data lines of the file.
+ *
+ * @param {String} content - Contents of emoji-test.txt
+ * @returns {Array} Array of entries in file order
+ */
+function parseEmojiTest(content) {
+  const entries = [];
+  let group = null;
+  let subgroup = null;
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.trim();
+    if (line === '') continue;
+
+    if (line.startsWith('#')) {
+      const header = line.match(/^#\s*(group|subgroup):\s*(.+)$/);
+      if (header && header[1] === 'group') {
+        group = header[2];
+        subgroup = null;
+      } else if (header) {
+        subgroup = header[2];
+      }
+      continue;
+    }
+
+    const match = line.match(/^([0-9A-F ]+?)\s*;\s*([a-z-]+)\s*#\s*\S+\s+E(\d+\.\d+)\s+(.+)$/i);
+    if (!match) {
+      console.warn(`Skipping malformed emoji-test.txt line: ${line}`);
+      continue;
+    }
+
+    const codePoints = match[1].split(/\s+/).map(hex => parseInt(hex, 16));
+    entries.push({
+      emoji: String.fromCodePoint(...codePoints),
+      codePoints: codePoints,
+      status: match[2],
+      version: match[3],
+      name: match[4],
+      group: group,
+      subgroup: subgroup,
+      order: entries.length
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Load and parse emoji-test.txt
+ *
+ * @param {String} filePath - Path to emoji-test.txt (default: vendored copy)
+ * @returns {Array} Array of emoji-test.txt entries
+ */
+function loadEmojiTest(filePath = EMOJI_TEST_PATH) {
+  if (!cache.has(filePath)) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Emoji data file not found at ${filePath}`);
+    }
+    cache.set(filePath, parseEmojiTest(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  return cache.get(filePath);
+}
+
+/**
+ * Find the emoji-test.txt entry for an emoji
+ *
+ * @param {String} emoji - Emoji character or sequence
+ * @returns {Object|null} The matching entry, or null if it is not listed
+ */
+function findEmojiTestEntry(emoji) {
+  if (!cache.has('emoji-test-index')) {
+    cache.set('emoji-test-index', new Map(loadEmojiTest().map(entry => [entry.emoji, entry])));
+  }
+
+  return cache.get('emoji-test-index').get(emoji) || null;
+}
+
+/**
+ * Find the fully-qualified form of an emoji, whatever its U+FE0F selectors
+ *
+ * @param {String} emoji - Emoji character or sequence, qualified or not
+ * @returns {String|null} The fully-qualified emoji, or null if it is not listed
+ */
+function findFullyQualifiedEmoji(emoji) {
+  const stripSelectors = text => text.replace(/\uFE0F/g, '');
+
+  if (!cache.has('emoji-test-qualified')) {
+    const qualified = loadEmojiTest()
+      .filter(entry => entry.status === 'fully-qualified' || entry.status === 'component')
+      .map(entry => [stripSelectors(entry.emoji), entry.emoji]);
+    cache.set('emoji-test-qualified', new Map(qualified));
+  }
+
+  return cache.get('emoji-test-qualified').get(stripSelectors(emoji)) || null;
+}
+
+/**
+ * List the emoji-test.txt groups and their subgroups in file order
+ *
+ * @returns {Array} Array of { name, subgroups } objects
+ */
+function getEmojiTestGroups() {
+  if (!cache.has('emoji-test-groups')) {
+    const groups = [];
+
+    for (const entry of loadEmojiTest()) {
+      let group = groups[groups.length - 1];
+      if (!group || group.name !== entry.group) {
+        group = { name: entry.group, subgroups: [] };
+        groups.push(group);
+      }
+      if (group.subgroups[group.subgroups.length - 1] !== entry.subgroup) {
+        group.subgroups.push(entry.subgroup);
+      }
+    }
+
+    cache.set('emoji-test-groups', groups);
+  }
+
+  return cache.get('emoji-test-groups');
+}
+
+/**
+ * Parse a UCD-style file that maps code points or ranges to a value
+ *
+ * Data lines look like:
+ *   1F601..1F610  ; 6.0 # [16]
+ *
+ * @param {String} content - File contents
+ * @param {String} fileName - File name used in warnings
+ * @returns {Array} Array of { start, end, value } ranges in file order
+ */
+function parseCodePointRanges(content, fileName) {
+  const ranges = [];
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (line === '') continue;
+
+    const match = line.match(/^([0-9A-F]+)(?:\.\.([0-9A-F]+))?\s*;\s*(\S+)$/i);
+    if (!match) {
+      console.warn(`Skipping malformed ${fileName} line: ${line}`);
+      continue;
+    }
+
+    ranges.push({
+      start: parseInt(match[1], 16),
+      end: parseInt(match[2] || match[1], 16),
+      value: match[3]
+    });
+  }
+
+  return ranges;
+}
+
+/**
+ * Find the range containing a code point
+ *
+ * @param {Array} ranges - Non-overlapping ranges sorted by start
+ * @param {Number} codePoint - Unicode code point
+ * @returns {Object|null} The containing range, or null
+ */
+function findRange(ranges, codePoint) {
+  let low = 0;
+  let high = ranges.length - 1;
+
+  // Binary search over the sorted ranges
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (codePoint < ranges[mid].start) {
+      high = mid - 1;
+    } else if (codePoint > ranges[mid].end) {
+      low = mid + 1;
+    } else {
+      return ranges[mid];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse the contents of DerivedAge.txt
+ *
+ * Each data line maps a code point or range to the Unicode version in which
+ * it was assigned.
+ *
+ * @param {String} content - Contents of DerivedAge.txt
+ * @returns {Array} Array of { start, end, version } ranges sorted by start
+ */
+function parseDerivedAge(content) {
+  return parseCodePointRanges(content, 'DerivedAge.txt')
+    .map(({ start, end, value }) => ({ start, end, version: value }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Load and parse DerivedAge.txt
+ *
+ * @param {String} filePath - Path to DerivedAge.txt (default: vendored copy)
+ * @returns {Array} Array of { start, end, version } ranges
+ */
+function loadDerivedAge(filePath = DERIVED_AGE_PATH) {
+  if (!cache.has(filePath)) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Unicode data file not found at ${filePath}`);
+    }
+    cache.set(filePath, parseDerivedAge(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  return cache.get(filePath);
+}
+
+/**
+ * Get the Unicode version in which a code point was assigned
+ *
+ * @param {Number} codePoint - Unicode code point
+ * @returns {String|null} Unicode version, or null if unassigned
+ */
+function getCodePointAge(codePoint) {
+  const range = findRange(loadDerivedAge(), codePoint);
+  return range ? range.version : null;
+}
+
+/**
+ * Parse the contents of emoji-data.txt
+ *
+ * Each data line assigns an emoji property (Emoji, Emoji_Presentation,
+ * Emoji_Modifier, Emoji_Modifier_Base, Emoji_Component or
+ * Extended_Pictographic) to a code point or range.
+ *
+ * @param {String} content - Contents of emoji-data.txt
+ * @returns {Object} Object mapping each property to its ranges sorted by start
+ */
+function parseEmojiData(content) {
+  const properties = {};
+
+  for (const { start, end, value } of parseCodePointRanges(content, 'emoji-data.txt')) {
+    if (!properties[value]) properties[value] = [];
+    properties[value].push({ start, end });
+  }
+
+  for (const ranges of Object.values(properties)) {
+    ranges.sort((a, b) => a.start - b.start);
+  }
+
+  return properties;
+}
+
+/**
+ * Load and parse emoji-data.txt
+ *
+ * @param {String} filePath - Path to emoji-data.txt (default: vendored copy)
+ * @returns {Object} Object mapping each property to its ranges
+ */
+function loadEmojiData(filePath = EMOJI_DATA_PATH) {
+  if (!cache.has(filePath)) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Emoji data file not found at ${filePath}`);
+    }
+    cache.set(filePath, parseEmojiData(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  return cache.get(filePath);
+}
+
+/**
+ * Get the emoji properties of a code point
+ *
+ * @param {Number} codePoint - Unicode code point
+ * @returns {Array} Names of the emoji-data.txt properties the code point has
+ */
+function getCodePointProperties(codePoint) {
+  return Object.entries(loadEmojiData())
+    .filter(([, ranges]) => findRange(ranges, codePoint) !== null)
+    .map(([property]) => property);
+}
+
+/**
+ * Compare two version strings such as "6.1" and "13.0"
+ *
+ * @param {String} a - First version
+ * @param {String} b - Second version
+ * @returns {Number} Negative, zero or positive, like a sort comparator
+ */
+function compareVersions(a, b) {
+  const [majorA, minorA = 0] = a.split('.').map(Number);
+  const [majorB, minorB = 0] = b.split('.').map(Number);
+  return majorA - majorB || minorA - minorB;
+}
+
+module.exports = {
+  DATA_DIR,
+  EMOJI_TEST_PATH,
+  DERIVED_AGE_PATH,
+  EMOJI_DATA_PATH,
+  parseEmojiTest,
+  loadEmojiTest,
+  findEmojiTestEntry,
+  findFullyQualifiedEmoji,
+  getEmojiTestGroups,
+  parseDerivedAge,
+  loadDerivedAge,
+  getCodePointAge,
+  parseEmojiData,
+  loadEmojiData,
+  getCodePointProperties,
+  compareVersions
+};
@@ -0,0 +1,66 @@
+/**
+ * Emoji Dictionary Loader
+ *
+ * emojiDictionary.js is an ES module written for the browser, so Node can't
+ * require() it from this CommonJS project. This module reads the dictionary
+ * file as text and parses its entries instead.
+ */
+
+const fs = require('fs');
+const { loadConfig } = require('./config');
+
+// Dictionary path from the project configuration (default: emojiDictionary.js)
+const DICTIONARY_PATH = loadConfig().dictionaryPath;
+
+/**
+ * Parse the emoji dictionary from the file content
+ *
+ * Entries may span several lines or sit on one line:
+ *   '😃': ['smile', 'grin'],
+ *
+ * @param {String} fileContent - Contents of emojiDictionary.js
+ * @returns {Object} Object mapping each emoji to its array of words
+ */
+function parseDictionary(fileContent) {
+  // Extract just the dictionary object from the file
+  const dictionaryMatch = fileContent.match(/const\s+emojiDictionary\s*=\s*{[\s\S]*?};/);
+
+  if (!dictionaryMatch) {
+    throw new Error('Could not find emoji dictionary object in file');
+  }
+
+  const dictionary = {};
+  const quoted = "'((?:[^'\\\\]|\\\\.)*)'";
+  const entryPattern = new RegExp(`${quoted}\\s*:\\s*\\[([^\\]]*)\\]`, 'g');
+  const wordPattern = new RegExp(quoted, 'g');
+  const unescape = text => text.replace(/\\(.)/g, '$1');
+  let match;
+
+  while ((match = entryPattern.exec(dictionaryMatch[0])) !== null) {
+    const words = [];
+    let wordMatch;
+    while ((wordMatch = wordPattern.exec(match[2])) !== null) {
+      words.push(unescape(wordMatch[1]));
+    }
+
+    dictionary[unescape(match[1])] = words;
+  }
+
+  return dictionary;
+}
+
+/**
+ * Load and parse the emoji dictionary
+ *
+ * @param {String} filePath - Path to the dictionary (default: DICTIONARY_PATH)
+ * @returns {Object} Object mapping each emoji to its array of words
+ */
+function loadDictionary(filePath = DICTIONARY_PATH) {
+  return parseDictionary(fs.readFileSync(filePath, 'utf8'));
+}
+
+module.exports = {
+  DICTIONARY_PATH,
+  parseDictionary,
+  loadDictionary
+};
@@ -2,46 +2,130 @@
  * Emoji Extractor Utility
  * 
  * This script provides functions to extract all emoji characters from Unicode
- * and compare them with the current emoji dictionary.
+ * and compare them with the current emoji dictionary. Emoji are extracted with
+ * one of several strategies:
+ * 
+ *   data-file      - fully-qualified emoji from the vendored emoji-test.txt
+ *   property-regex - code points in the emoji blocks with the Emoji property
+ *   range          - every code point in the emoji blocks
  */
 
+const fs = require('fs');
+const {
+  loadEmojiTest,
+  findEmojiTestEntry,
+  findFullyQualifiedEmoji,
+  getEmojiTestGroups,
+  getCodePointAge,
+  getCodePointProperties,
+  compareVersions
+} = require('./emojiData');
+const { loadDictionary } = require('./emojiDictionaryLoader');
+const { loadConfig } = require('./config');
+
+// Unicode blocks containing emoji, scanned by the range and property-regex
+// strategies unless extractionRanges is set in the project configuration
+const EMOJI_RANGES = [
+  // Basic emoji
+  [0x1F600, 0x1F64F], // Emoticons
+  [0x1F300, 0x1F5FF], // Misc Symbols and Pictographs
+  [0x1F680, 0x1F6FF], // Transport and Map
+  [0x1F700, 0x1F77F], // Alchemical Symbols
+  [0x1F780, 0x1F7FF], // Geometric Shapes Extended
+  [0x1F800, 0x1F8FF], // Supplemental Arrows-C
+  [0x1F900, 0x1F9FF], // Supplemental Symbols and Pictographs
+  [0x1FA00, 0x1FA6F], // Chess Symbols
+  [0x1FA70, 0x1FAFF], // Symbols and Pictographs Extended-A
+  
+  // Additional emoji-related ranges
+  [0x2600, 0x26FF],   // Misc symbols
+  [0x2700, 0x27BF],   // Dingbats
+  [0x2B00, 0x2BFF],   // Misc symbols and arrows
+  [0x3000, 0x303F],   // CJK Symbols and Punctuation
+  [0xFE00, 0xFE0F],   // Variation Selectors
+];
+
+// Fields that importCldrAnnotations.js, importShortcodes.js and
+// checkFontCoverage.js add to allEmoji.json; extracting again keeps them
+const IMPORTED_FIELDS = ['annotations', 'shortcodes', 'renderable'];
+
+// Skin tone modifiers U+1F3FB (light) to U+1F3FF (dark)
+const SKIN_TONE_MODIFIERS = [0x1F3FB, 0x1F3FC, 0x1F3FD, 0x1F3FE, 0x1F3FF];
+
+// Extraction strategies by name; the first one is the default
+const STRATEGIES = {
+  'data-file': getEmojiFromDataFile,
+  'property-regex': getEmojiFromPropertyRegex,
+  'range': getEmojiFromRanges
+};
+
+const EXTRACTION_STRATEGIES = Object.keys(STRATEGIES);
+
 /**
- * Extract all emoji from Unicode character planes
+ * Extract all emoji using the given strategy
  * 
+ * @param {String} strategy - One of EXTRACTION_STRATEGIES (default: 'data-file')
  * @returns {Array} Array of all emoji characters
  */
-function getAllEmoji() {
-  const emojiArray = [];
+function getAllEmoji(strategy = EXTRACTION_STRATEGIES[0]) {
+  if (!STRATEGIES[strategy]) {
+    throw new Error(`Unknown extraction strategy: ${strategy}. Use one of: ${EXTRACTION_STRATEGIES.join(', ')}`);
+  }
   
-  // Primary emoji Unicode blocks
-  const emojiRanges = [
-    // Emoticons (smileys, people, etc.)
-    [0x1F600, 0x1F64F],
-    
-    // Miscellaneous Symbols and Pictographs (food, plants, etc.)
-    [0x1F300, 0x1F5FF],
-    
-    // Transport and Map Symbols
-    [0x1F680, 0x1F6FF],
-    
-    // Supplemental Symbols and Pictographs
-    [0x1F900, 0x1F9FF],
-    
-    // Symbols and Pictographs Extended-A
-    [0x1FA70, 0x1FAFF],
-    
-    // Basic symbols often used as emoji
-    [0x2600, 0x26FF],   // Miscellaneous Symbols
-    [0x2700, 0x27BF],   // Dingbats
-    
-    // Additional blocks with some emoji-like characters
-    [0x2B00, 0x2BFF],   // Miscellaneous Symbols and Arrows
-    [0x3000, 0x303F],   // CJK Symbols and Punctuation
-    [0xFE00, 0xFE0F],   // Variation Selectors
-  ];
+  return STRATEGIES[strategy]();
+}
+
+/**
+ * Extract the fully-qualified emoji listed in the vendored emoji-test.txt
+ * 
+ * @returns {Array} Array of emoji characters in emoji-test.txt order
+ */
+function getEmojiFromDataFile() {
+  return loadEmojiTest()
+    .filter(entry => entry.status === 'fully-qualified')
+    .map(entry => entry.emoji);
+}
+
+/**
+ * Extract the characters in the emoji Unicode blocks that have the Emoji
+ * property, according to the regular expression engine of this Node.js build
+ * 
+ * Components such as skin tones and variation selectors are left out. Only
+ * single code points are found, so sequences like 👍🏽 and 🇳🇱 are missing.
+ * 
+ * @returns {Array} Array of emoji characters
+ */
+function getEmojiFromPropertyRegex() {
+  return getEmojiFromRanges().filter(emoji =>
+    /\p{Emoji}/u.test(emoji) && !/\p{Emoji_Component}/u.test(emoji)
+  );
+}
+
+/**
+ * Get the code point ranges scanned by the range and property-regex strategies
+ * 
+ * @returns {Array} Array of [start, end] code point ranges: extractionRanges
+ *   from the project configuration, or EMOJI_RANGES
+ */
+function getExtractionRanges() {
+  const { extractionRanges } = loadConfig();
+  return extractionRanges ? extractionRanges.map(parseCodePointRange) : EMOJI_RANGES;
+}
+
+/**
+ * Extract every code point in the emoji Unicode blocks
+ * 
+ * This is the fallback strategy for when neither the data files nor Unicode
+ * property escapes are available. It includes unassigned code points and
+ * non-emoji characters.
+ * 
+ * @returns {Array} Array of all characters in the extraction ranges
+ */
+function getEmojiFromRanges() {
+  const emojiArray = [];
   
   // Process each code point in the ranges
-  for (const [start, end] of emojiRanges) {
+  for (const [start, end] of getExtractionRanges()) {
     for (let codePoint = start; codePoint <= end; codePoint++) {
       try {
         const emoji = String.fromCodePoint(codePoint);
@@ -52,7 +136,238 @@ function getAllEmoji() {
     }
   }
   
-  return emojiArray;
+  // Ranges may overlap, so remove duplicates
+  return [...new Set(emojiArray)];
+}
+
+/**
+ * Compare the emoji found by each pair of extraction strategies
+ * 
+ * Emoji are matched ignoring U+FE0F, so an emoji that one strategy finds with
+ * the emoji presentation selector (☺️) and the other without (☺) is listed as
+ * requalified rather than as both added and dropped.
+ * 
+ * @param {Array} strategies - Strategy names to compare (default: all)
+ * @returns {Array} Array of { strategy, comparedTo, added, dropped, requalified }
+ *   objects, where added are emoji only the strategy finds, dropped are emoji
+ *   only the other strategy finds, and requalified are { from, to } pairs of
+ *   the other strategy's form and this strategy's form of the same emoji
+ */
+function diffStrategies(strategies = EXTRACTION_STRATEGIES) {
+  const results = {};
+  for (const strategy of strategies) {
+    results[strategy] = getAllEmoji(strategy);
+  }
+  
+  const toKey = emoji => emoji.replace(/\uFE0F/g, '');
+  const byKey = emojiList => new Map(emojiList.map(emoji => [toKey(emoji), emoji]));
+  
+  // Each pair is reported once; swapping it would only swap added and dropped
+  const diffs = [];
+  for (const [index, strategy] of strategies.entries()) {
+    for (const comparedTo of strategies.slice(index + 1)) {
+      const own = byKey(results[strategy]);
+      const other = byKey(results[comparedTo]);
+      const requalified = [];
+      for (const [key, emoji] of own) {
+        if (other.has(key) && other.get(key) !== emoji) {
+          requalified.push({ from: other.get(key), to: emoji });
+        }
+      }
+      
+      diffs.push({
+        strategy: strategy,
+        comparedTo: comparedTo,
+        added: results[strategy].filter(emoji => !other.has(toKey(emoji))),
+        dropped: results[comparedTo].filter(emoji => !own.has(toKey(emoji))),
+        requalified: requalified
+      });
+    }
+  }
+  
+  return diffs;
+}
+
+/**
+ * Get the code points of an emoji, which may be a multi-code-point sequence
+ * 
+ * @param {String} emoji - Emoji character or sequence
+ * @returns {Array} Array of numeric code points
+ */
+function getCodePoints(emoji) {
+  return Array.from(emoji, char => char.codePointAt(0));
+}
+
+/**
+ * Format a code point in U+XXXX notation
+ * 
+ * @param {Number} codePoint - Unicode code point
+ * @returns {String} Formatted code point, e.g. U+1F600
+ */
+function formatCodePoint(codePoint) {
+  return `U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+/**
+ * Classify an emoji by the kind of sequence it is made of
+ * 
+ * The types follow emoji-sequences.txt and emoji-zwj-sequences.txt:
+ *   basic    - a single code point, optionally with U+FE0F (😀, ☺️)
+ *   keycap   - a keycap sequence (1️⃣)
+ *   flag     - a pair of regional indicators (🇳🇱)
+ *   tag      - a tag sequence (🏴󠁧󠁢󠁳󠁣󠁴󠁿)
+ *   modifier - a skin tone modifier sequence (👍🏽)
+ *   zwj      - a zero width joiner sequence (👨‍👩‍👧)
+ * 
+ * @param {String} emoji - Emoji character or sequence
+ * @returns {String} Sequence type
+ */
+function getSequenceType(emoji) {
+  const codePoints = getCodePoints(emoji);
+  
+  if (codePoints.includes(0x200D)) return 'zwj';
+  if (codePoints.includes(0x20E3)) return 'keycap';
+  if (codePoints.some(codePoint => codePoint >= 0xE0020 && codePoint <= 0xE007F)) return 'tag';
+  if (codePoints.some(codePoint => codePoint >= 0x1F3FB && codePoint <= 0x1F3FF) && codePoints.length > 1) return 'modifier';
+  if (codePoints.length === 2 && codePoints.every(codePoint => codePoint >= 0x1F1E6 && codePoint <= 0x1F1FF)) return 'flag';
+  return 'basic';
+}
+
+/**
+ * Find the emoji a skin tone variant is based on, e.g. 👍 for 👍🏽
+ * 
+ * The skin tone modifiers are removed and the result is looked up in
+ * emoji-test.txt, because a base like 🕵️‍♂️ needs a U+FE0F selector that its
+ * variants (🕵🏽‍♂️) leave out.
+ * 
+ * @param {String} emoji - Emoji character or sequence
+ * @returns {String|null} The base emoji, or null if this is no skin tone variant
+ */
+function getBaseEmoji(emoji) {
+  const codePoints = getCodePoints(emoji);
+  const withoutTones = codePoints.filter(codePoint => !SKIN_TONE_MODIFIERS.includes(codePoint));
+  
+  // A lone modifier is a component, not a variant
+  if (withoutTones.length === codePoints.length || withoutTones.length === 0) {
+    return null;
+  }
+  
+  const base = String.fromCodePoint(...withoutTones);
+  return findFullyQualifiedEmoji(base) || base;
+}
+
+/**
+ * Add the five skin tone variants of every emoji that takes skin tone modifiers
+ * 
+ * Variants are inserted right after their base emoji unless the list already
+ * has them. Only single code point bases are expanded; the data-file strategy
+ * already lists every ZWJ sequence variant.
+ * 
+ * @param {Array} emojiList - Array of emoji characters
+ * @returns {Array} Array of emoji characters including skin tone variants
+ */
+function expandSkinTones(emojiList) {
+  const existing = new Set(emojiList);
+  const expanded = [];
+  
+  for (const emoji of emojiList) {
+    expanded.push(emoji);
+    
+    const codePoints = getCodePoints(emoji).filter(codePoint => codePoint !== 0xFE0F);
+    if (codePoints.length !== 1 || !getEmojiProperties(emoji).modifierBase) {
+      continue;
+    }
+    
+    for (const modifier of SKIN_TONE_MODIFIERS) {
+      const variant = String.fromCodePoint(codePoints[0], modifier);
+      if (!existing.has(variant)) {
+        expanded.push(variant);
+        existing.add(variant);
+      }
+    }
+  }
+  
+  return expanded;
+}
+
+/**
+ * Create the sequence-aware record stored in allEmoji.json
+ * 
+ * @param {String} emoji - Emoji character or sequence
+ * @returns {Object} Record with emoji, codePoint, codePoints, sequenceType
+ *   and baseEmoji (null unless it is a skin tone variant)
+ */
+function createEmojiRecord(emoji) {
+  const codePoints = getCodePoints(emoji).map(formatCodePoint);
+  
+  return {
+    emoji: emoji,
+    codePoint: codePoints.join(' '),
+    codePoints: codePoints,
+    sequenceType: getSequenceType(emoji),
+    baseEmoji: getBaseEmoji(emoji)
+  };
+}
+
+/**
+ * Copy the imported fields of the records in an earlier extraction
+ * 
+ * Records are matched by emoji, ignoring U+FE0F, so the fields survive an
+ * emoji being requalified. A missing or unreadable file is skipped.
+ * 
+ * @param {Array} records - New emoji records, updated in place
+ * @param {String} filePath - Path to the earlier extraction, such as allEmoji.json
+ * @returns {Number} Number of records that got imported fields back
+ */
+function keepImportedFields(records, filePath) {
+  let previous;
+  try {
+    previous = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return 0;
+  }
+  if (!Array.isArray(previous)) {
+    return 0;
+  }
+  
+  const toKey = emoji => emoji.replace(/\uFE0F/g, '');
+  const previousRecords = new Map(previous
+    .filter(item => item && typeof item === 'object' && typeof item.emoji === 'string')
+    .map(item => [toKey(item.emoji), item]));
+  
+  let kept = 0;
+  for (const record of records) {
+    const previousRecord = previousRecords.get(toKey(record.emoji));
+    const fields = previousRecord ? IMPORTED_FIELDS.filter(field => field in previousRecord) : [];
+    for (const field of fields) {
+      record[field] = previousRecord[field];
+    }
+    if (fields.length > 0) {
+      kept++;
+    }
+  }
+  
+  return kept;
+}
+
+/**
+ * Look up the Emoji and Unicode versions that introduced an emoji
+ * 
+ * The Emoji version comes from emoji-test.txt. The Unicode version is the
+ * newest DerivedAge.txt version among the emoji's code points, since a sequence
+ * can only be displayed once all of its code points exist.
+ * 
+ * @param {String} emoji - Emoji character or sequence
+ * @returns {Object} Object with emojiVersion and unicodeVersion (null if unknown)
+ */
+function getEmojiVersions(emoji) {
+  const entry = findEmojiTestEntry(emoji);
+  const ages = getCodePoints(emoji).map(getCodePointAge);
+  
+  return {
+    emojiVersion: entry ? entry.version : null,
+    unicodeVersion: ages.includes(null) ? null : ages.sort(compareVersions)[ages.length - 1]
+  };
 }
 
 /**
@@ -62,8 +377,8 @@ function getAllEmoji() {
  */
 function getDictionaryEmoji() {
   try {
-    // Import the emoji dictionary
-    const emojiDictionary = require('./emojiDictionary').default;
+    // Parse the emoji dictionary, which can't be required as it is an ES module
+    const emojiDictionary = loadDictionary();
     return Object.keys(emojiDictionary);
   } catch (error) {
     console.error('Failed to load emoji dictionary:', error.message);
@@ -71,6 +386,21 @@ function getDictionaryEmoji() {
   }
 }
 
+/**
+ * Check whether the dictionary covers an emoji
+ * 
+ * Words stated on a base emoji apply to all of its skin tone variants, so 👍🏽
+ * is covered when 👍 is in the dictionary.
+ * 
+ * @param {String} emoji - Emoji character or sequence
+ * @param {Array} dictionaryEmoji - Emoji in the dictionary
+ * @returns {Boolean} True if the emoji or its base emoji is in the dictionary
+ */
+function isInDictionary(emoji, dictionaryEmoji) {
+  const baseEmoji = getBaseEmoji(emoji);
+  return dictionaryEmoji.includes(emoji) || (baseEmoji !== null && dictionaryEmoji.includes(baseEmoji));
+}
+
 /**
  * Find emoji that exist in Unicode but aren't in our dictionary
  * 
@@ -80,51 +410,213 @@ function findMissingEmoji() {
   const allEmoji = getAllEmoji();
   const dictionaryEmoji = getDictionaryEmoji();
   
-  return allEmoji.filter(emoji => !dictionaryEmoji.includes(emoji));
+  return allEmoji.filter(emoji => !isInDictionary(emoji, dictionaryEmoji));
 }
 
 /**
- * Find the most common emoji by category
+ * Classify an emoji by its Unicode emoji properties
+ * 
+ * Properties come from emoji-data.txt and describe the first code point, which
+ * is the base of any sequence. An emoji is a component when emoji-test.txt
+ * lists it as one (skin tones, hair styles) or, for emoji it does not list,
+ * when it only consists of Emoji_Component code points and variation
+ * selectors, none of which are meant to be used on their own.
  * 
- * @returns {Object} Object with categories and their emoji
+ * @param {String} emoji - Emoji character or sequence
+ * @returns {Object} Object with defaultPresentation ('emoji' or 'text'),
+ *   modifierBase, component and the emojiProperties of the base code point
  */
-function getEmojiByCategory() {
-  // Categories mapping (simplified)
-  const categories = {
-    'Smileys & Emotion': [0x1F600, 0x1F64F],
-    'People & Body': [0x1F90C, 0x1F9FF],
-    'Animals & Nature': [0x1F400, 0x1F43F, 0x1F980, 0x1F9AF],
-    'Food & Drink': [0x1F32D, 0x1F37F, 0x1F95F, 0x1F9AA],
-    'Travel & Places': [0x1F30D, 0x1F320, 0x1F680, 0x1F6FF],
-    'Activities': [0x1F380, 0x1F3FF, 0x1F93C, 0x1F93F],
-    'Objects': [0x1F4A0, 0x1F4FF, 0x1F950, 0x1F95E],
-    'Symbols': [0x1F300, 0x1F5FF, 0x1F500, 0x1F53D],
+function getEmojiProperties(emoji) {
+  const codePoints = getCodePoints(emoji);
+  const properties = getCodePointProperties(codePoints[0]);
+  const entry = findEmojiTestEntry(emoji);
+  const isComponent = codePoint =>
+    (codePoint >= 0xFE00 && codePoint <= 0xFE0F) ||
+    getCodePointProperties(codePoint).includes('Emoji_Component');
+  
+  return {
+    defaultPresentation: properties.includes('Emoji_Presentation') ? 'emoji' : 'text',
+    modifierBase: properties.includes('Emoji_Modifier_Base'),
+    component: entry ? entry.status === 'component' : codePoints.every(isComponent),
+    emojiProperties: properties
   };
+}
+
+/**
+ * Get the encoded forms of an emoji, covering every code point of a sequence
+ * 
+ * For 👍🏽 (U+1F44D U+1F3FD):
+ *   utf8       F0 9F 91 8D F0 9F 8F BD
+ *   utf16      D83D DC4D D83C DFFD (surrogate pairs)
+ *   htmlEntity &#x1F44D;&#x1F3FD;
+ *   jsEscape   \u{1F44D}\u{1F3FD}
+ *   cssEscape  \1F44D \1F3FD (the space ends an escape and is not part of
+ *              the text; it is left off the last one)
+ *   urlEncoded %F0%9F%91%8D%F0%9F%8F%BD
+ * 
+ * @param {String} emoji - Emoji character or sequence
+ * @returns {Object} Object with utf8, utf16, htmlEntity, jsEscape, cssEscape
+ *   and urlEncoded
+ */
+function getEmojiEncodings(emoji) {
+  const hex = (value, length) => value.toString(16).toUpperCase().padStart(length, '0');
+  const codePoints = getCodePoints(emoji);
+  const codeUnits = Array.from({ length: emoji.length }, (_, i) => emoji.charCodeAt(i));
   
-  const result = {};
-  const allEmoji = getAllEmoji();
+  return {
+    utf8: Array.from(Buffer.from(emoji, 'utf8'), byte => hex(byte, 2)).join(' '),
+    utf16: codeUnits.map(unit => hex(unit, 4)).join(' '),
+    htmlEntity: codePoints.map(codePoint => `&#x${hex(codePoint, 1)};`).join(''),
+    jsEscape: codePoints.map(codePoint => `\\u{${hex(codePoint, 1)}}`).join(''),
+    cssEscape: codePoints.map(codePoint => `\\${hex(codePoint, 1)}`).join(' '),
+    urlEncoded: encodeURIComponent(emoji)
+  };
+}
+
+/**
+ * Find the CLDR category (emoji-test.txt group) and subcategory of an emoji
+ * 
+ * Emoji that emoji-test.txt does not list, such as those found by the range
+ * strategy, are put in the 'Other' category with null indexes.
+ * 
+ * @param {String} emoji - Emoji character or sequence
+ * @returns {Object} Object with category, subcategory, categoryIndex,
+ *   subcategoryIndex and order (position in emoji-test.txt)
+ */
+function getEmojiCategory(emoji) {
+  const entry = findEmojiTestEntry(emoji);
+  
+  if (!entry) {
+    return {
+      category: 'Other',
+      subcategory: null,
+      categoryIndex: null,
+      subcategoryIndex: null,
+      order: null
+    };
+  }
+  
+  const groups = getEmojiTestGroups();
+  const categoryIndex = groups.findIndex(group => group.name === entry.group);
+  
+  return {
+    category: entry.group,
+    subcategory: entry.subgroup,
+    categoryIndex: categoryIndex,
+    subcategoryIndex: groups[categoryIndex].subgroups.indexOf(entry.subgroup),
+    order: entry.order
+  };
+}
+
+/**
+ * Group all emoji by CLDR category and subcategory
+ * 
+ * Categories and subcategories are returned in emoji-test.txt order, each with
+ * its index in that order, and the 'Other' category last.
+ * 
+ * @param {String} strategy - Extraction strategy passed on to getAllEmoji()
+ * @returns {Object} Object keyed by category, each value being
+ *   { index, emoji, subcategories: { [name]: { index, emoji } } }
+ */
+function getEmojiByCategory(strategy) {
+  const categorized = {};
   
-  // Simple categorization
-  for (const [category, ranges] of Object.entries(categories)) {
-    result[category] = [];
+  for (const emoji of getAllEmoji(strategy)) {
+    const { category, subcategory, categoryIndex, subcategoryIndex } = getEmojiCategory(emoji);
     
-    // Check each emoji against the ranges for this category
-    for (const emoji of allEmoji) {
-      const codePoint = emoji.codePointAt(0);
-      
-      // Check if the emoji falls within any range for this category
-      for (let i = 0; i < ranges.length; i += 2) {
-        if (codePoint >= ranges[i] && codePoint <= ranges[i+1]) {
-          result[category].push(emoji);
-          break;
-        }
+    if (!categorized[category]) {
+      categorized[category] = { index: categoryIndex, emoji: [], subcategories: {} };
+    }
+    categorized[category].emoji.push(emoji);
+    
+    if (subcategory) {
+      const subcategories = categorized[category].subcategories;
+      if (!subcategories[subcategory]) {
+        subcategories[subcategory] = { index: subcategoryIndex, emoji: [] };
       }
+      subcategories[subcategory].emoji.push(emoji);
     }
   }
   
+  // Sort by official order, with 'Other' (null index) at the end
+  const byIndex = ([, a], [, b]) => (a.index === null) - (b.index === null) || a.index - b.index;
+  const result = {};
+  for (const [category, data] of Object.entries(categorized).sort(byIndex)) {
+    result[category] = {
+      ...data,
+      subcategories: Object.fromEntries(Object.entries(data.subcategories).sort(byIndex))
+    };
+  }
+  
   return result;
 }
 
+/**
+ * Parse a code point range such as U+1F300-U+1F5FF, 1F300..1F5FF or U+1F600
+ * 
+ * @param {String} text - Range text
+ * @returns {Array} Array of [start, end] code points
+ */
+function parseCodePointRange(text) {
+  const match = text.trim().match(/^(?:U\+)?([0-9A-F]{1,6})(?:\s*(?:-|\.\.)\s*(?:U\+)?([0-9A-F]{1,6}))?$/i);
+  
+  if (!match) {
+    throw new Error(`Invalid code point range: ${text}. Use e.g. U+1F300-U+1F5FF`);
+  }
+  
+  const start = parseInt(match[1], 16);
+  const end = parseInt(match[2] || match[1], 16);
+  return start <= end ? [start, end] : [end, start];
+}
+
+/**
+ * Filter emoji by category, version, code point range and dictionary coverage
+ * 
+ * @param {Array} emojiList - Array of emoji characters
+ * @param {Object} filters - Filters to apply; all are optional:
+ *   category   - category or subcategory name, e.g. 'Food & Drink' or 'food-fruit'
+ *   minVersion - lowest Emoji version to keep, e.g. '12.0'
+ *   maxVersion - highest Emoji version to keep
+ *   ranges     - array of [start, end] code point ranges the first code point
+ *                must fall in
+ *   coverage   - 'missing' or 'covered', compared with the dictionary
+ * @returns {Array} Array of the emoji that pass every filter
+ */
+function filterEmoji(emojiList, filters = {}) {
+  const { category, minVersion, maxVersion, ranges, coverage } = filters;
+  const dictionaryEmoji = coverage ? getDictionaryEmoji() : [];
+  const wantedCategory = category ? category.toLowerCase() : null;
+  
+  return emojiList.filter(emoji => {
+    if (wantedCategory) {
+      const { category: emojiCategory, subcategory } = getEmojiCategory(emoji);
+      if (emojiCategory.toLowerCase() !== wantedCategory && (subcategory || '').toLowerCase() !== wantedCategory) {
+        return false;
+      }
+    }
+    
+    if (minVersion || maxVersion) {
+      // Emoji without a known version can't satisfy a version filter
+      const { emojiVersion } = getEmojiVersions(emoji);
+      if (emojiVersion === null) return false;
+      if (minVersion && compareVersions(emojiVersion, minVersion) < 0) return false;
+      if (maxVersion && compareVersions(emojiVersion, maxVersion) > 0) return false;
+    }
+    
+    if (ranges && ranges.length > 0) {
+      const [codePoint] = getCodePoints(emoji);
+      if (!ranges.some(([start, end]) => codePoint >= start && codePoint <= end)) return false;
+    }
+    
+    if (coverage) {
+      const covered = isInDictionary(emoji, dictionaryEmoji);
+      if ((coverage === 'covered') !== covered) return false;
+    }
+    
+    return true;
+  });
+}
+
 // Main function to run the emoji extractor
 function main() {
   console.log("==== Emoji Extractor ====");
@@ -145,17 +637,35 @@ function main() {
   // Category breakdown
   console.log("\nEmoji by category:");
   const categorized = getEmojiByCategory();
-  for (const [category, emoji] of Object.entries(categorized)) {
-    console.log(`${category}: ${emoji.length} emoji`);
+  for (const [category, { emoji, subcategories }] of Object.entries(categorized)) {
+    console.log(`${category}: ${emoji.length} emoji in ${Object.keys(subcategories).length} subcategories`);
   }
 }
 
 // Export functions for module usage
 module.exports = {
+  EXTRACTION_STRATEGIES,
+  IMPORTED_FIELDS,
   getAllEmoji,
+  diffStrategies,
+  getCodePoints,
+  formatCodePoint,
+  getSequenceType,
+  createEmojiRecord,
+  getBaseEmoji,
+  expandSkinTones,
+  isInDictionary,
+  getEmojiVersions,
+  getEmojiProperties,
+  getEmojiEncodings,
+  getEmojiCategory,
+  keepImportedFields,
   getDictionaryEmoji,
   findMissingEmoji,
   getEmojiByCategory,
+  parseCodePointRange,
+  getExtractionRanges,
+  filterEmoji,
   main
 };
 
@@ -0,0 +1,113 @@
+/**
+ * Emoji Output Formats
+ *
+ * This module serializes emoji records for spreadsheets and line-oriented
+ * tools, as CSV, TSV or NDJSON (one JSON object per line).
+ */
+
+// Formats written by serializeRecords(), with their file extensions
+const LINE_FORMATS = {
+  csv: '.csv',
+  tsv: '.tsv',
+  ndjson: '.ndjson'
+};
+
+/**
+ * Keep only the given fields of each record, in the given order
+ *
+ * @param {Array} records - Array of emoji records
+ * @param {Array} fields - Field names to keep
+ * @returns {Array} Array of records with only those fields
+ */
+function selectFields(records, fields) {
+  return records.map(record => {
+    const selected = {};
+    for (const field of fields) {
+      selected[field] = record[field];
+    }
+    return selected;
+  });
+}
+
+/**
+ * Convert a record value to the text of a single CSV or TSV cell
+ *
+ * Arrays such as codePoints are joined with spaces, and missing values become
+ * empty cells.
+ *
+ * @param {*} value - Record value
+ * @returns {String} Cell text
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(' ');
+  return String(value);
+}
+
+/**
+ * Quote a CSV cell as described in RFC 4180
+ *
+ * Text is always quoted, so spreadsheets don't reinterpret emoji, keycaps like
+ * #️⃣ or space-separated code points. Numbers and booleans are left bare.
+ *
+ * @param {*} value - Record value
+ * @returns {String} CSV cell
+ */
+function toCsvCell(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  return `"${formatCell(value).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Escape a TSV cell; tabs, newlines and backslashes become backslash escapes
+ *
+ * @param {*} value - Record value
+ * @returns {String} TSV cell
+ */
+function toTsvCell(value) {
+  return formatCell(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Serialize emoji records in one of the LINE_FORMATS
+ *
+ * The CSV and TSV header row lists the fields of the first record.
+ *
+ * @param {Array} records - Array of emoji records
+ * @param {String} format - 'csv', 'tsv' or 'ndjson'
+ * @returns {String} Serialized records, ending with a newline
+ */
+function serializeRecords(records, format) {
+  if (format === 'ndjson') {
+    return records.map(record => JSON.stringify(record) + '\n').join('');
+  }
+
+  if (!(format in LINE_FORMATS)) {
+    throw new Error(`Unknown format: ${format}`);
+  }
+
+  const toCell = format === 'csv' ? toCsvCell : toTsvCell;
+  const delimiter = format === 'csv' ? ',' : '\t';
+
+  const fields = records.length > 0 ? Object.keys(records[0]) : [];
+  const lines = [fields.map(toCell).join(delimiter)];
+  for (const record of records) {
+    lines.push(fields.map(field => toCell(record[field])).join(delimiter));
+  }
+
+  // CSV lines end with CRLF as in RFC 4180
+  const newline = format === 'csv' ? '\r\n' : '\n';
+  return lines.join(newline) + newline;
+}
+
+module.exports = {
+  LINE_FORMATS,
+  selectFields,
+  serializeRecords
+};
@@ -0,0 +1,162 @@
+/**
+ * Emoji Shortcodes Loader
+ *
+ * This module reads shortcode sets (:dog:, :+1:) as published for GitHub,
+ * Slack, Discord and others, and reads and writes emojiShortcodes.js, the
+ * table of shortcodes per emoji and platform used by the translator:
+ *
+ *   const emojiShortcodes = {
+ *     "🐶": {"github":["dog"],"slack":["dog"]}
+ *   };
+ *   export default emojiShortcodes;
+ *
+ * Like emojiDictionary.js, the table is an ES module for the browser, so Node
+ * reads it as text. emojiText.js uses the table to read and write shortcodes.
+ */
+
+const fs = require('fs');
+const { loadConfig } = require('./config');
+
+// Shortcodes path from the project configuration (default: emojiShortcodes.js)
+const SHORTCODES_PATH = loadConfig().shortcodesPath;
+
+/**
+ * Turn a hexcode such as 1F44D-1F3FD into the emoji
+ */
+function hexcodeToEmoji(hexcode) {
+  return String.fromCodePoint(...hexcode.split(/[-\s]/).map(hex => parseInt(hex, 16)));
+}
+
+/**
+ * Add shortcodes for an emoji, without colons and duplicates
+ */
+function addShortcodes(shortcodes, emoji, names) {
+  const list = shortcodes.get(emoji) || [];
+  for (const name of [].concat(names)) {
+    const shortcode = typeof name === 'string' ? name.replace(/^:|:$/g, '') : '';
+    if (shortcode && !list.includes(shortcode)) {
+      list.push(shortcode);
+    }
+  }
+  if (list.length > 0) {
+    shortcodes.set(emoji, list);
+  }
+}
+
+/**
+ * Parse a shortcode set
+ *
+ * These layouts are recognized:
+ * - An object from hexcode to shortcode or array of shortcodes, as in
+ *   emojibase-data (shortcodes/github.json, shortcodes/iamcal.json):
+ *     { "1F436": "dog", "1F44D": ["+1", "thumbsup"] }
+ * - An object from shortcode to image URL, as returned by the GitHub API at
+ *   https://api.github.com/emojis; custom emoji without a code point are skipped:
+ *     { "dog": "https://github.githubassets.com/images/icons/emoji/unicode/1f436.png?v8" }
+ * - An object from shortcode to emoji:
+ *     { "dog": "🐶" }
+ * - An array of records with the emoji (emoji, surrogates or unified hexcode)
+ *   and its shortcodes (aliases, short_names or names), as in GitHub's gemoji,
+ *   Slack's emoji-datasource and Discord's emoji definitions; the array may
+ *   sit in an emojiDefinitions property
+ *
+ * @param {*} data - Parsed JSON of the shortcode set
+ * @returns {Map} Map from emoji to its array of shortcodes
+ */
+function parseShortcodeSet(data) {
+  const shortcodes = new Map();
+  const records = Array.isArray(data) ? data : (data && data.emojiDefinitions);
+
+  if (Array.isArray(records)) {
+    for (const record of records) {
+      const emoji = record.emoji || record.surrogates || (record.unified && hexcodeToEmoji(record.unified));
+      const names = record.aliases || record.short_names || record.names || record.short_name;
+      if (emoji && names) {
+        addShortcodes(shortcodes, emoji, names);
+      }
+    }
+    return shortcodes;
+  }
+
+  if (!data || typeof data !== 'object') {
+    throw new Error('Expected a JSON object or array of shortcodes');
+  }
+
+  for (const [key, value] of Object.entries(data)) {
+    if (/^[0-9a-f]{4,6}(-[0-9a-f]{4,6})*$/i.test(key)) {
+      addShortcodes(shortcodes, hexcodeToEmoji(key), value);
+    } else if (typeof value === 'string' && /^https?:/.test(value)) {
+      const match = value.match(/\/unicode\/([0-9a-f-]+)\.png/i);
+      if (match) {
+        addShortcodes(shortcodes, hexcodeToEmoji(match[1]), key);
+      }
+    } else if (typeof value === 'string') {
+      addShortcodes(shortcodes, value, key);
+    }
+  }
+
+  return shortcodes;
+}
+
+/**
+ * Parse the shortcode table from the content of emojiShortcodes.js
+ *
+ * @param {String} fileContent - Contents of emojiShortcodes.js
+ * @returns {Object} Object mapping each emoji to { platform: [shortcodes] }
+ */
+function parseShortcodesFile(fileContent) {
+  const match = fileContent.match(/const\s+emojiShortcodes\s*=\s*({[\s\S]*?});\s*export default/);
+
+  if (!match) {
+    throw new Error('Could not find emoji shortcodes object in file');
+  }
+
+  // The table is written as JSON by generateShortcodesFile()
+  return JSON.parse(match[1]);
+}
+
+/**
+ * Load the shortcode table
+ *
+ * @param {String} filePath - Path to the table (default: SHORTCODES_PATH)
+ * @returns {Object} Object mapping each emoji to { platform: [shortcodes] },
+ *   empty when the file doesn't exist
+ */
+function loadShortcodes(filePath = SHORTCODES_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  return parseShortcodesFile(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Generate the content of emojiShortcodes.js
+ *
+ * @param {Object} table - Object mapping each emoji to { platform: [shortcodes] }
+ * @returns {String} ES module source
+ */
+function generateShortcodesFile(table) {
+  // One emoji per line, as JSON so parseShortcodesFile() can read it back
+  const entries = Object.entries(table).map(([emoji, platforms]) =>
+    `  ${JSON.stringify(emoji)}: ${JSON.stringify(platforms)}`
+  );
+
+  return [
+    '// Emoji shortcodes per platform, written by importShortcodes.js',
+    'const emojiShortcodes = {',
+    entries.join(',\n'),
+    '};',
+    '',
+    'export default emojiShortcodes;',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  SHORTCODES_PATH,
+  parseShortcodeSet,
+  parseShortcodesFile,
+  loadShortcodes,
+  generateShortcodesFile
+};
@@ -0,0 +1,118 @@
+/**
+ * Emoji Text
+ *
+ * This module puts emoji in text and reads and writes :shortcodes:. The web
+ * page in public/ and translateToEmoji.js share it, so both translate the same
+ * way. Node require()s it; the page loads it with a <script> tag, which
+ * defines a global emojiText object with the same functions.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.emojiText = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // A shortcode token in text, such as :dog: or :+1:
+  const SHORTCODE_PATTERN = /^:([a-z0-9_+-]+):$/i;
+
+  /**
+   * Add U+FE0F to emoji that default to text presentation (like ❤), so they
+   * are displayed as emoji instead of as plain symbols
+   *
+   * @param {String} emoji - Emoji from the dictionary
+   * @returns {String} Emoji with emoji presentation
+   */
+  function withEmojiPresentation(emoji) {
+    const isTextDefault = Array.from(emoji).length === 1 &&
+      /\p{Emoji}/u.test(emoji) &&
+      !/\p{Emoji_Presentation}|\p{Emoji_Component}/u.test(emoji);
+
+    return isTextDefault ? emoji + '\uFE0F' : emoji;
+  }
+
+  /**
+   * Build a lookup from shortcode to emoji, over all platforms
+   *
+   * The first emoji to use a shortcode keeps it.
+   *
+   * @param {Object} table - Shortcode table from emojiShortcodes.js
+   * @returns {Map} Map from lowercase shortcode to emoji
+   */
+  function buildShortcodeIndex(table) {
+    const index = new Map();
+
+    for (const [emoji, platforms] of Object.entries(table)) {
+      for (const shortcodes of Object.values(platforms)) {
+        for (const shortcode of shortcodes) {
+          if (!index.has(shortcode.toLowerCase())) {
+            index.set(shortcode.toLowerCase(), emoji);
+          }
+        }
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Find the emoji for a :shortcode: token
+   *
+   * @param {String} token - Word from the text, such as ':dog:'
+   * @param {Map} shortcodeIndex - Result of buildShortcodeIndex()
+   * @returns {String|null} The emoji, or null when the token isn't a known shortcode
+   */
+  function findEmojiForShortcode(token, shortcodeIndex) {
+    const match = token.match(SHORTCODE_PATTERN);
+    return match ? shortcodeIndex.get(match[1].toLowerCase()) || null : null;
+  }
+
+  /**
+   * Replace the emoji in a text with a platform's shortcodes
+   *
+   * Emoji the platform has no shortcode for stay as they are. The table is
+   * matched without U+FE0F selectors, as typed text often lacks them.
+   *
+   * @param {String} text - Text with emoji
+   * @param {Object} table - Shortcode table from emojiShortcodes.js
+   * @param {String} platform - Platform name, such as 'github' or 'slack'
+   * @returns {String} Text with :shortcodes:
+   */
+  function toShortcodeText(text, table, platform) {
+    const shortcodeFor = new Map();
+    for (const [emoji, platforms] of Object.entries(table)) {
+      if (platforms[platform]) {
+        shortcodeFor.set(emoji.replace(/\uFE0F/g, ''), platforms[platform][0]);
+      }
+    }
+
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    return Array.from(segmenter.segment(text), ({ segment }) => {
+      const shortcode = shortcodeFor.get(segment.replace(/\uFE0F/g, ''));
+      return shortcode ? `:${shortcode}:` : segment;
+    }).join('');
+  }
+
+  /**
+   * List the platforms in a shortcode table
+   *
+   * @param {Object} table - Shortcode table from emojiShortcodes.js
+   * @returns {Array} Sorted platform names
+   */
+  function getPlatforms(table) {
+    const platforms = new Set();
+    for (const entry of Object.values(table)) {
+      Object.keys(entry).forEach(platform => platforms.add(platform));
+    }
+    return [...platforms].sort();
+  }
+
+  return {
+    withEmojiPresentation,
+    buildShortcodeIndex,
+    findEmojiForShortcode,
+    toShortcodeText,
+    getPlatforms
+  };
+});
@@ -4,88 +4,334 @@
  * Emoji to JSON Converter
  * 
  * This script extracts all emoji from Unicode and saves them to a JSON file.
- * It includes multiple output formats and command-line options.
+ * It includes multiple output formats, including CSV, TSV and NDJSON, and
+ * command-line options. It is also available as `symbollify extract`.
  * 
  * Usage:
  *   node emojiToJson.js [options]
  * 
  * Options:
- *   --output, -o    Output file name (default: allEmoji.json)
- *   --format, -f    Output format: full, simple, minimal (default: full)
- *   --compare, -c   Compare with dictionary (true/false)
+ *   --output, -o    Output file name (default: allEmoji.json, or allEmoji.csv etc.)
+ *   --format, -f    Output format: full, simple, minimal, csv, tsv, ndjson (default: full)
+ *   --fields        Comma-separated fields to include, e.g. emoji,codePoint,category
+ *   --encodings     Add UTF-8, UTF-16, HTML entity, JS, CSS and URL-encoded forms
+ *   --compare, -c   Compare with dictionary and write a coverage report
+ *   --report        Coverage report path without extension (default: coverage-report
+ *                   next to the output file)
+ *   --strategy, -s  Extraction strategy: data-file, property-regex, range (default: data-file)
+ *   --category      Only emoji in this category or subcategory
+ *   --min-version   Only emoji from this Emoji version on, e.g. 12.0
+ *   --max-version   Only emoji up to this Emoji version
+ *   --range         Only emoji starting in this code point range, e.g. U+1F300-U+1F5FF
+ *   --missing-only  Only emoji not covered by the dictionary
+ *   --covered-only  Only emoji covered by the dictionary
+ *   --skin-tones    Skin tone variants: include, exclude, expand (default: include)
+ *   --strategy-diff Report which emoji each strategy adds or drops, instead of writing JSON
+ *   --diff OLD NEW  Report the changes between two extractions, instead of writing JSON
  *   --help, -h      Show help
  */
 
 const fs = require('fs');
 const path = require('path');
 const emojiExtractor = require('./emojiExtractor');
+const emojiFormats = require('./emojiFormats');
+const coverageReport = require('./coverageReport');
+const snapshotDiff = require('./snapshotDiff');
+const { loadDictionary } = require('./emojiDictionaryLoader');
+const cli = require('./cli');
+const { loadConfig } = require('./config');
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-const options = {
-  output: 'allEmoji.json',
-  format: 'full',
-  compare: false
+const FORMATS = ['full', 'simple', 'minimal', ...Object.keys(emojiFormats.LINE_FORMATS)];
+
+// Fields added by emojiExtractor.getEmojiEncodings()
+const ENCODING_FIELDS = ['utf8', 'utf16', 'htmlEntity', 'jsEscape', 'cssEscape', 'urlEncoded'];
+
+// Command definition, shared with `symbollify extract`
+const command = {
+  name: 'extract',
+  description: 'Extract all emoji from the Unicode emoji data to JSON, CSV, TSV or NDJSON.',
+  arguments: '[OLD NEW]',
+  options: {
+    output: {
+      type: 'string',
+      short: 'o',
+      valueName: 'FILE',
+      description: 'Output file name (default: allEmoji.json, or allEmoji.csv etc.)'
+    },
+    format: {
+      type: 'string',
+      short: 'f',
+      default: 'full',
+      choices: FORMATS,
+      description: 'Output format; csv, tsv and ndjson contain the same fields as full'
+    },
+    fields: {
+      type: 'string',
+      valueName: 'LIST',
+      description: 'Comma-separated fields to include (default: all)'
+    },
+    encodings: {
+      type: 'boolean',
+      description: 'Add the encoded forms of each emoji to full, csv, tsv and\n' +
+        `ndjson: ${ENCODING_FIELDS.join(', ')}`
+    },
+    compare: {
+      type: 'boolean',
+      short: 'c',
+      description: 'Compare with dictionary and write a coverage report as\nMarkdown and HTML'
+    },
+    report: {
+      type: 'string',
+      valueName: 'PATH',
+      description: 'Coverage report path without extension (default:\ncoverage-report next to the output file)'
+    },
+    strategy: {
+      type: 'string',
+      short: 's',
+      default: emojiExtractor.EXTRACTION_STRATEGIES[0],
+      choices: emojiExtractor.EXTRACTION_STRATEGIES,
+      description: "Extraction strategy; 'range' scans whole Unicode blocks\nand is only a fallback"
+    },
+    category: {
+      type: 'string',
+      valueName: 'NAME',
+      description: 'Only emoji in this category or subcategory,\ne.g. "Food & Drink" or food-fruit'
+    },
+    'min-version': {
+      type: 'string',
+      valueName: 'VERSION',
+      description: 'Only emoji introduced in this Emoji version or later, e.g. 12.0'
+    },
+    'max-version': {
+      type: 'string',
+      valueName: 'VERSION',
+      description: 'Only emoji introduced in this Emoji version or earlier'
+    },
+    range: {
+      type: 'string',
+      multiple: true,
+      valueName: 'RANGE',
+      description: 'Only emoji whose first code point is in this range,\ne.g. U+1F300-U+1F5FF; can be repeated'
+    },
+    'missing-only': { type: 'boolean', description: 'Only emoji not covered by the dictionary' },
+    'covered-only': { type: 'boolean', description: 'Only emoji covered by the dictionary' },
+    'skin-tones': {
+      type: 'string',
+      default: 'include',
+      choices: ['include', 'exclude', 'expand'],
+      description: 'Skin tone variants (👍🏽): include as extracted, exclude, or\n' +
+        'expand every emoji that takes them into all five'
+    },
+    'strategy-diff': {
+      type: 'boolean',
+      description: 'Report which emoji each strategy adds or drops relative to\nthe others, instead of writing a file'
+    },
+    diff: {
+      type: 'boolean',
+      description: 'Report the emoji added, removed or requalified between the\n' +
+        'OLD and NEW extractions, their category and version changes,\n' +
+        'and the dictionary entries and generated_words files they\n' +
+        'affect, instead of writing a file. Category changes are\n' +
+        'found between files with categories, written by index.js or\n' +
+        'in the full format'
+    }
+  },
+  examples: [
+    '',
+    '--output emoji.json --format minimal',
+    '-o categorized.json -f full -c',
+    '--format csv --fields emoji,codePoint,category',
+    '--format csv --fields emoji,utf8,htmlEntity,cssEscape',
+    '--strategy range',
+    '--strategy property-regex --skin-tones expand',
+    '--category "Food & Drink" --missing-only -o food.json',
+    '--range U+1F300-U+1F5FF --max-version 1.0',
+    '--strategy-diff',
+    '--diff allEmoji.old.json allEmoji.json'
+  ],
+  run: main
 };
 
-// Process command line arguments
-for (let i = 0; i < args.length; i++) {
-  const arg = args[i];
+/**
+ * Turn the parsed command line values into options
+ * 
+ * @param {Object} values - Option values from cli.parseCommandArgs()
+ * @param {Array} positionals - The OLD and NEW files for --diff
+ * @returns {Object} Options for main()
+ * @throws {cli.UsageError} When a range or the --diff files are invalid
+ */
+function toOptions(values, positionals) {
+  if (values.diff && positionals.length !== 2) {
+    throw new cli.UsageError('--diff needs two files: --diff old.json new.json');
+  }
+  if (!values.diff && positionals.length > 0) {
+    throw new cli.UsageError(`Unexpected argument '${positionals[0]}'`);
+  }
   
-  if (arg === '--help' || arg === '-h') {
-    showHelp();
-    process.exit(0);
-  } else if (arg === '--output' || arg === '-o') {
-    options.output = args[++i] || options.output;
-  } else if (arg === '--format' || arg === '-f') {
-    options.format = args[++i] || options.format;
-    if (!['full', 'simple', 'minimal'].includes(options.format)) {
-      console.error(`Invalid format: ${options.format}. Using 'full' instead.`);
-      options.format = 'full';
-    }
-  } else if (arg === '--compare' || arg === '-c') {
-    options.compare = (args[++i] || 'true') === 'true';
+  let ranges;
+  try {
+    ranges = (values.range || []).map(range => emojiExtractor.parseCodePointRange(range));
+  } catch (error) {
+    throw new cli.UsageError(error.message);
   }
+  
+  const fields = values.fields ? values.fields.split(',').map(field => field.trim()).filter(Boolean) : null;
+  
+  // Default output file from the configuration, with an extension matching the format
+  const output = values.output || loadConfig().emojiPath.replace(/(\.json)?$/, emojiFormats.LINE_FORMATS[values.format] || '.json');
+  
+  return {
+    output: output,
+    format: values.format,
+    fields,
+    // Also add the encodings when --fields asks for one of them
+    encodings: Boolean(values.encodings) || (fields || []).some(field => ENCODING_FIELDS.includes(field)),
+    compare: Boolean(values.compare),
+    report: values.report || path.join(path.dirname(output), 'coverage-report'),
+    strategy: values.strategy,
+    skinTones: values['skin-tones'],
+    strategyDiff: Boolean(values['strategy-diff']),
+    diff: values.diff ? positionals : null,
+    filters: {
+      category: values.category || null,
+      minVersion: values['min-version'] || null,
+      maxVersion: values['max-version'] || null,
+      ranges,
+      coverage: values['missing-only'] ? 'missing' : (values['covered-only'] ? 'covered' : null)
+    }
+  };
 }
 
 /**
- * Show help information
+ * Print which emoji each extraction strategy adds or drops relative to the others
  */
-function showHelp() {
-  console.log(`
-Emoji to JSON Converter
-
-Extract all emoji from Unicode planes and save them to a JSON file.
-
-Usage:
-  node emojiToJson.js [options]
+function printStrategyDiff() {
+  console.log('Comparing extraction strategies...');
+  
+  for (const strategy of emojiExtractor.EXTRACTION_STRATEGIES) {
+    console.log(`  ${strategy}: ${emojiExtractor.getAllEmoji(strategy).length} emoji`);
+  }
+  
+  for (const { strategy, comparedTo, added, dropped, requalified } of emojiExtractor.diffStrategies()) {
+    console.log(`\n${strategy} compared to ${comparedTo}:`);
+    console.log(`  Adds ${added.length} emoji: ${added.join(' ')}`);
+    console.log(`  Drops ${dropped.length} emoji: ${dropped.join(' ')}`);
+    console.log(`  Requalifies ${requalified.length} emoji (U+FE0F added or removed): ` +
+      requalified.map(({ from, to }) => `${from} -> ${to}`).join(' '));
+  }
+}
 
-Options:
-  --output, -o    Output file name (default: allEmoji.json)
-  --format, -f    Output format: full, simple, minimal (default: full)
-  --compare, -c   Compare with dictionary (true/false)
-  --help, -h      Show this help message
+/**
+ * Print the changes between two extractions and what they affect
+ * 
+ * @param {String} oldPath - Path to the old extraction
+ * @param {String} newPath - Path to the new extraction
+ */
+function printSnapshotDiff(oldPath, newPath) {
+  console.log(`Comparing ${oldPath} with ${newPath}...`);
+  
+  const oldSnapshot = snapshotDiff.loadSnapshot(oldPath);
+  const newSnapshot = snapshotDiff.loadSnapshot(newPath);
+  console.log(`  ${oldPath}: ${oldSnapshot.size} emoji`);
+  console.log(`  ${newPath}: ${newSnapshot.size} emoji`);
+  
+  const diff = snapshotDiff.diffSnapshots(oldSnapshot, newSnapshot);
+  const describe = fields => Object.values(fields).map(value => value || 'none').join(' / ');
+  
+  console.log(`\nAdded ${diff.added.length} emoji: ${diff.added.join(' ')}`);
+  console.log(`Removed ${diff.removed.length} emoji: ${diff.removed.join(' ')}`);
+  console.log(`Requalified ${diff.requalified.length} emoji (U+FE0F added or removed):`);
+  for (const { from, to } of diff.requalified) {
+    const codePoint = emoji => emojiExtractor.createEmojiRecord(emoji).codePoint;
+    console.log(`  ${from} (${codePoint(from)}) -> ${to} (${codePoint(to)})`);
+  }
+  
+  console.log(`\nCategory changes: ${diff.categoryChanges.length}`);
+  for (const { emoji, from, to } of diff.categoryChanges) {
+    console.log(`  ${emoji}  ${describe(from)} -> ${describe(to)}`);
+  }
+  
+  console.log(`\nVersion changes: ${diff.versionChanges.length}`);
+  for (const { emoji, from, to } of diff.versionChanges) {
+    console.log(`  ${emoji}  ${describe(from)} -> ${describe(to)}`);
+  }
+  
+  const affected = snapshotDiff.findAffected(diff, loadDictionary(), loadConfig().generatedDir);
+  console.log(`\nAffected dictionary entries and generated_words files: ${affected.length}`);
+  for (const { emoji, change, dictionaryEntry, generatedFiles } of affected) {
+    const where = [
+      dictionaryEntry ? `dictionary entry ${dictionaryEntry}` : null,
+      ...generatedFiles
+    ].filter(Boolean);
+    console.log(`  ${emoji} (${change}): ${where.join(', ')}`);
+  }
+}
 
-Examples:
-  node emojiToJson.js
-  node emojiToJson.js --output emoji.json --format minimal
-  node emojiToJson.js -o categorized.json -f full -c true
-  `);
+/**
+ * Write the dictionary coverage report as Markdown and HTML
+ * 
+ * @param {Array} allEmoji - Array of extracted emoji characters
+ * @param {String} report - Report path without extension
+ */
+function writeCoverageReport(allEmoji, report) {
+  const coverage = coverageReport.buildCoverage(allEmoji, loadDictionary());
+  const reportDir = path.dirname(report);
+  if (reportDir !== '.' && !fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true });
+  }
+  
+  fs.writeFileSync(`${report}.md`, coverageReport.toMarkdown(coverage), 'utf8');
+  fs.writeFileSync(`${report}.html`, coverageReport.toHtml(coverage), 'utf8');
+  
+  console.log(`Coverage: ${coverage.summary.covered} of ${coverage.summary.total} emoji (${coverage.summary.percentage}%)`);
+  console.log(`Coverage report written to ${path.resolve(report)}.md and .html`);
 }
 
 /**
  * Main function to extract emoji and save to JSON
+ * 
+ * @param {Object} values - Option values from cli.parseCommandArgs()
+ * @param {Array} positionals - Positional arguments
  */
-async function main() {
+async function main(values, positionals) {
+  const options = toOptions(values, positionals);
+  
   try {
-    console.log('Extracting emoji from Unicode planes...');
+    if (options.strategyDiff) {
+      printStrategyDiff();
+      return;
+    }
+    
+    if (options.diff) {
+      printSnapshotDiff(...options.diff);
+      return;
+    }
+    
+    console.log(`Extracting emoji using the '${options.strategy}' strategy...`);
     
     // Get all emoji
-    const allEmoji = emojiExtractor.getAllEmoji();
+    let allEmoji = emojiExtractor.getAllEmoji(options.strategy);
     console.log(`Found ${allEmoji.length} emoji characters`);
     
+    // Add or remove skin tone variants
+    if (options.skinTones === 'expand') {
+      allEmoji = emojiExtractor.expandSkinTones(allEmoji);
+      console.log(`Expanded to ${allEmoji.length} emoji including all skin tone variants`);
+    } else if (options.skinTones === 'exclude') {
+      allEmoji = allEmoji.filter(emoji => emojiExtractor.getBaseEmoji(emoji) === null);
+      console.log(`Kept ${allEmoji.length} emoji without skin tone variants`);
+    }
+    
     let outputData;
     
+    // Apply the filters, if any
+    const hasFilters = Object.values(options.filters)
+      .some(value => (Array.isArray(value) ? value.length > 0 : value !== null));
+    if (hasFilters) {
+      allEmoji = emojiExtractor.filterEmoji(allEmoji, options.filters);
+      console.log(`Kept ${allEmoji.length} emoji matching the filters`);
+    }
+    
     // Format the data based on selected option
     switch (options.format) {
       case 'minimal':
@@ -97,36 +343,44 @@ async function main() {
         // Array of objects with emoji and code point
         outputData = allEmoji.map(emoji => ({
           emoji: emoji,
-          codePoint: `U+${emoji.codePointAt(0).toString(16).toUpperCase()}`
+          codePoint: emojiExtractor.createEmojiRecord(emoji).codePoint
         }));
         break;
         
       case 'full':
       default:
-        // Comprehensive information including categories
-        const categoryMap = emojiExtractor.getEmojiByCategory();
-        
-        // Find category for each emoji
+        // Comprehensive information including categories, also used for the
+        // CSV, TSV and NDJSON formats
         outputData = allEmoji.map(emoji => {
-          const category = Object.entries(categoryMap)
-            .find(([_, emojiList]) => emojiList.includes(emoji))?.[0] || 'Other';
+          const { category, subcategory } = emojiExtractor.getEmojiCategory(emoji);
           
           return {
-            emoji: emoji,
-            codePoint: `U+${emoji.codePointAt(0).toString(16).toUpperCase()}`,
+            ...emojiExtractor.createEmojiRecord(emoji),
+            ...emojiExtractor.getEmojiVersions(emoji),
+            ...emojiExtractor.getEmojiProperties(emoji),
+            ...(options.encodings ? emojiExtractor.getEmojiEncodings(emoji) : {}),
             category: category,
+            subcategory: subcategory,
             inDictionary: false // Will be updated later if comparison is enabled
           };
         });
         
+        // Keep what the importers added to an earlier extraction in the output file
+        if (!(options.format in emojiFormats.LINE_FORMATS)) {
+          const kept = emojiExtractor.keepImportedFields(outputData, path.resolve(options.output));
+          if (kept > 0) {
+            console.log(`Kept the imported annotations, shortcodes and renderable flags of ${kept} emoji`);
+          }
+        }
+        
         // If comparison is enabled, check against dictionary
         if (options.compare) {
           console.log('Comparing with current emoji dictionary...');
           const dictionaryEmoji = emojiExtractor.getDictionaryEmoji();
           
-          // Mark emoji that are in the dictionary
+          // Mark emoji that are in the dictionary, directly or through their base emoji
           outputData.forEach(item => {
-            item.inDictionary = dictionaryEmoji.includes(item.emoji);
+            item.inDictionary = emojiExtractor.isInDictionary(item.emoji, dictionaryEmoji);
           });
           
           // Log statistics
@@ -137,23 +391,47 @@ async function main() {
         break;
     }
     
+    // Write the coverage report for any format
+    if (options.compare) {
+      writeCoverageReport(allEmoji, options.report);
+    }
+    
+    // Keep only the requested fields
+    if (options.fields && typeof outputData[0] === 'object') {
+      const available = Object.keys(outputData[0]);
+      const unknown = options.fields.filter(field => !available.includes(field));
+      if (unknown.length > 0) {
+        console.error(`Ignoring unknown fields: ${unknown.join(', ')}. Available fields: ${available.join(', ')}`);
+      }
+      
+      const fields = options.fields.filter(field => available.includes(field));
+      if (fields.length > 0) {
+        outputData = emojiFormats.selectFields(outputData, fields);
+      }
+    } else if (options.fields) {
+      console.error(`The ${options.format} format has no fields to select. Ignoring --fields.`);
+    }
+    
     // Create output directory if it doesn't exist
     const outputDir = path.dirname(options.output);
     if (outputDir !== '.' && !fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
     }
     
-    // Write to JSON file
+    // Write to the output file
     const outputPath = path.resolve(options.output);
     console.log(`Writing emoji data to ${outputPath}...`);
     
+    const isLineFormat = options.format in emojiFormats.LINE_FORMATS;
     fs.writeFileSync(
       outputPath,
-      JSON.stringify(outputData, null, 2),
+      isLineFormat
+        ? emojiFormats.serializeRecords(outputData, options.format)
+        : JSON.stringify(outputData, null, 2),
       'utf8'
     );
     
-    console.log('Done! JSON file created successfully.');
+    console.log(`Done! ${isLineFormat ? options.format.toUpperCase() : 'JSON'} file created successfully.`);
     console.log(`Total emoji saved: ${outputData.length}`);
     
     // Show a sample
@@ -164,19 +442,20 @@ async function main() {
         console.log(outputData.slice(0, 10).join(' '));
       } else {
         console.log(outputData.slice(0, 10)
-          .map(e => `${e.emoji} (${e.codePoint})`)
+          .map(e => (e.codePoint ? `${e.emoji} (${e.codePoint})` : e.emoji))
           .join(' '));
       }
     }
     
   } catch (error) {
     console.error('Error processing emoji:', error);
-    process.exit(1);
+    return cli.EXIT_CODES.FAILURE;
   }
 }
 
 // Run the main function
-main().catch(err => {
-  console.error('Unhandled error:', err);
-  process.exit(1);
-});
\ No newline at end of file
+if (require.main === module) {
+  cli.runCommand(command);
+}
+
+module.exports = { command };
\ No newline at end of file
@@ -0,0 +1,307 @@
+/**
+ * Font Coverage
+ *
+ * This module reads the character map (cmap) and ligature substitutions
+ * (GSUB) of TrueType and OpenType fonts, to tell which emoji a font can draw
+ * as a single glyph. Single code points need a cmap entry; sequences such as
+ * 👍🏽, 🇳🇱 and 👩‍💻 need a ligature that joins their glyphs into one.
+ *
+ * Only ligature lookups (GSUB lookup type 4, also inside extension lookups)
+ * are applied, in lookup order and regardless of script and feature. That is
+ * how emoji fonts such as Noto Color Emoji and Twemoji build their sequences.
+ */
+
+const fs = require('fs');
+
+const VARIATION_SELECTOR_16 = 0xFE0F;
+
+/**
+ * Find the table offsets of the first font in a TTF, OTF or TTC file
+ *
+ * @param {Buffer} buffer - Font file contents
+ * @returns {Object} Object mapping table tags to their offset
+ */
+function readTableDirectory(buffer) {
+  let fontOffset = 0;
+  const signature = buffer.toString('latin1', 0, 4);
+
+  if (signature === 'ttcf') {
+    // Font collection; use the first font
+    fontOffset = buffer.readUInt32BE(12);
+  } else if (signature === 'wOFF' || signature === 'wOF2') {
+    throw new Error('WOFF and WOFF2 fonts are not supported; use the TTF or OTF file');
+  }
+
+  const version = buffer.readUInt32BE(fontOffset);
+  if (version !== 0x00010000 && buffer.toString('latin1', fontOffset, fontOffset + 4) !== 'OTTO' &&
+      buffer.toString('latin1', fontOffset, fontOffset + 4) !== 'true') {
+    throw new Error('Not a TrueType or OpenType font');
+  }
+
+  const tables = {};
+  const numTables = buffer.readUInt16BE(fontOffset + 4);
+  for (let i = 0; i < numTables; i++) {
+    const record = fontOffset + 12 + i * 16;
+    tables[buffer.toString('latin1', record, record + 4)] = buffer.readUInt32BE(record + 8);
+  }
+
+  return tables;
+}
+
+/**
+ * Parse the cmap table into a map from code point to glyph ID
+ *
+ * Unicode subtables in format 4 (BMP) and format 12 (all planes) are merged.
+ *
+ * @param {Buffer} buffer - Font file contents
+ * @param {Number} offset - Offset of the cmap table
+ * @returns {Map} Map from code point to glyph ID
+ */
+function parseCmap(buffer, offset) {
+  const cmap = new Map();
+  const numSubtables = buffer.readUInt16BE(offset + 2);
+
+  for (let i = 0; i < numSubtables; i++) {
+    const record = offset + 4 + i * 8;
+    const platformId = buffer.readUInt16BE(record);
+    const encodingId = buffer.readUInt16BE(record + 2);
+    const subtable = offset + buffer.readUInt32BE(record + 4);
+    const format = buffer.readUInt16BE(subtable);
+
+    const isUnicode = platformId === 0 || (platformId === 3 && (encodingId === 1 || encodingId === 10));
+    if (!isUnicode) continue;
+
+    if (format === 4) {
+      const segCount = buffer.readUInt16BE(subtable + 6) / 2;
+      const endCodes = subtable + 14;
+      const startCodes = endCodes + segCount * 2 + 2;
+      const idDeltas = startCodes + segCount * 2;
+      const idRangeOffsets = idDeltas + segCount * 2;
+
+      for (let segment = 0; segment < segCount; segment++) {
+        const end = buffer.readUInt16BE(endCodes + segment * 2);
+        const start = buffer.readUInt16BE(startCodes + segment * 2);
+        const delta = buffer.readInt16BE(idDeltas + segment * 2);
+        const rangeOffsetPosition = idRangeOffsets + segment * 2;
+        const rangeOffset = buffer.readUInt16BE(rangeOffsetPosition);
+
+        for (let codePoint = start; codePoint <= end && codePoint !== 0xFFFF; codePoint++) {
+          let glyph;
+          if (rangeOffset === 0) {
+            glyph = (codePoint + delta) & 0xFFFF;
+          } else {
+            glyph = buffer.readUInt16BE(rangeOffsetPosition + rangeOffset + (codePoint - start) * 2);
+            if (glyph !== 0) glyph = (glyph + delta) & 0xFFFF;
+          }
+          if (glyph !== 0) cmap.set(codePoint, glyph);
+        }
+      }
+    } else if (format === 12) {
+      const numGroups = buffer.readUInt32BE(subtable + 12);
+      for (let group = 0; group < numGroups; group++) {
+        const groupRecord = subtable + 16 + group * 12;
+        const start = buffer.readUInt32BE(groupRecord);
+        const end = buffer.readUInt32BE(groupRecord + 4);
+        const startGlyph = buffer.readUInt32BE(groupRecord + 8);
+        for (let codePoint = start; codePoint <= end; codePoint++) {
+          cmap.set(codePoint, startGlyph + codePoint - start);
+        }
+      }
+    }
+  }
+
+  return cmap;
+}
+
+/**
+ * Read an OpenType coverage table
+ *
+ * @returns {Array} Glyph IDs in coverage index order
+ */
+function parseCoverage(buffer, offset) {
+  const format = buffer.readUInt16BE(offset);
+  const glyphs = [];
+
+  if (format === 1) {
+    const glyphCount = buffer.readUInt16BE(offset + 2);
+    for (let i = 0; i < glyphCount; i++) {
+      glyphs.push(buffer.readUInt16BE(offset + 4 + i * 2));
+    }
+  } else if (format === 2) {
+    const rangeCount = buffer.readUInt16BE(offset + 2);
+    for (let i = 0; i < rangeCount; i++) {
+      const record = offset + 4 + i * 6;
+      const start = buffer.readUInt16BE(record);
+      const end = buffer.readUInt16BE(record + 2);
+      for (let glyph = start; glyph <= end; glyph++) {
+        glyphs.push(glyph);
+      }
+    }
+  }
+
+  return glyphs;
+}
+
+/**
+ * Parse a ligature substitution subtable (GSUB lookup type 4)
+ *
+ * @param {Map} ligatures - Map from first glyph to an array of
+ *   { components, glyph } to add to, longest components first
+ */
+function parseLigatureSubtable(buffer, offset, ligatures) {
+  const coverage = parseCoverage(buffer, offset + buffer.readUInt16BE(offset + 2));
+  const ligatureSetCount = buffer.readUInt16BE(offset + 4);
+
+  for (let i = 0; i < ligatureSetCount && i < coverage.length; i++) {
+    const ligatureSet = offset + buffer.readUInt16BE(offset + 6 + i * 2);
+    const ligatureCount = buffer.readUInt16BE(ligatureSet);
+    const entries = ligatures.get(coverage[i]) || [];
+
+    for (let j = 0; j < ligatureCount; j++) {
+      const ligature = ligatureSet + buffer.readUInt16BE(ligatureSet + 2 + j * 2);
+      const glyph = buffer.readUInt16BE(ligature);
+      const componentCount = buffer.readUInt16BE(ligature + 2);
+      const components = [];
+      for (let k = 1; k < componentCount; k++) {
+        components.push(buffer.readUInt16BE(ligature + 4 + (k - 1) * 2));
+      }
+      entries.push({ components, glyph });
+    }
+
+    entries.sort((a, b) => b.components.length - a.components.length);
+    ligatures.set(coverage[i], entries);
+  }
+}
+
+/**
+ * Parse the ligature lookups of the GSUB table
+ *
+ * @param {Buffer} buffer - Font file contents
+ * @param {Number} offset - Offset of the GSUB table
+ * @returns {Array} One Map per ligature lookup, as filled by parseLigatureSubtable()
+ */
+function parseGsubLigatures(buffer, offset) {
+  const lookupList = offset + buffer.readUInt16BE(offset + 8);
+  const lookupCount = buffer.readUInt16BE(lookupList);
+  const lookups = [];
+
+  for (let i = 0; i < lookupCount; i++) {
+    const lookup = lookupList + buffer.readUInt16BE(lookupList + 2 + i * 2);
+    const lookupType = buffer.readUInt16BE(lookup);
+    const subtableCount = buffer.readUInt16BE(lookup + 4);
+    const ligatures = new Map();
+
+    for (let j = 0; j < subtableCount; j++) {
+      let subtable = lookup + buffer.readUInt16BE(lookup + 6 + j * 2);
+      let type = lookupType;
+
+      // Extension subtables point to a subtable of another type
+      if (type === 7) {
+        type = buffer.readUInt16BE(subtable + 2);
+        subtable += buffer.readUInt32BE(subtable + 4);
+      }
+
+      if (type === 4) {
+        parseLigatureSubtable(buffer, subtable, ligatures);
+      }
+    }
+
+    if (ligatures.size > 0) {
+      lookups.push(ligatures);
+    }
+  }
+
+  return lookups;
+}
+
+/**
+ * Load a TTF, OTF or TTC font file
+ *
+ * @param {String} filePath - Path to the font
+ * @returns {Object} Object with the font's cmap (Map from code point to
+ *   glyph ID) and its ligature lookups
+ */
+function loadFont(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  const tables = readTableDirectory(buffer);
+
+  if (tables.cmap === undefined) {
+    throw new Error(`${filePath} has no cmap table`);
+  }
+
+  return {
+    cmap: parseCmap(buffer, tables.cmap),
+    ligatures: tables.GSUB === undefined ? [] : parseGsubLigatures(buffer, tables.GSUB),
+  };
+}
+
+/**
+ * Apply a ligature lookup to a glyph sequence
+ *
+ * @param {Array} glyphs - Glyph IDs
+ * @param {Map} ligatures - Ligature lookup from parseGsubLigatures()
+ * @returns {Array} Glyph IDs after the substitutions
+ */
+function applyLigatures(glyphs, ligatures) {
+  const result = [];
+  let position = 0;
+
+  while (position < glyphs.length) {
+    const match = (ligatures.get(glyphs[position]) || []).find(({ components }) =>
+      components.every((glyph, k) => glyphs[position + 1 + k] === glyph)
+    );
+
+    if (match) {
+      result.push(match.glyph);
+      position += 1 + match.components.length;
+    } else {
+      result.push(glyphs[position]);
+      position++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Shape an emoji into glyphs
+ *
+ * @param {Object} font - Result of loadFont()
+ * @param {Array} codePoints - Code points of the emoji
+ * @returns {Array|null} Glyph IDs, or null when a code point has no glyph
+ */
+function shape(font, codePoints) {
+  let glyphs = codePoints.map(codePoint => font.cmap.get(codePoint));
+  if (glyphs.includes(undefined)) return null;
+
+  for (const ligatures of font.ligatures) {
+    glyphs = applyLigatures(glyphs, ligatures);
+  }
+
+  return glyphs;
+}
+
+/**
+ * Check whether a font draws an emoji as a single glyph
+ *
+ * Fonts often build their ligatures from the sequence without U+FE0F, and
+ * may leave U+FE0F out of their cmap, so that form is tried too.
+ *
+ * @param {Object} font - Result of loadFont()
+ * @param {String} emoji - Emoji character or sequence
+ * @returns {Boolean} True when the emoji renders as one glyph
+ */
+function canRender(font, emoji) {
+  const codePoints = Array.from(emoji, char => char.codePointAt(0));
+  const withoutSelectors = codePoints.filter(codePoint => codePoint !== VARIATION_SELECTOR_16);
+
+  return [codePoints, withoutSelectors].some(sequence => {
+    const glyphs = sequence.length > 0 ? shape(font, sequence) : null;
+    return glyphs !== null && glyphs.length === 1;
+  });
+}
+
+module.exports = {
+  loadFont,
+  canRender
+};
@@ -4,37 +4,253 @@
  * Emoji Word Generator
  *
  * This script:
- * 1. Takes a slice of 4 emoji from allEmoji.json based on an offset
- * 2. Uses Claude to generate 10-20 words for each emoji
- * 3. Stores the results in a file with offset information
+ * 1. Takes a slice of emoji (4 by default) from allEmoji.json based on an offset
+ * 2. Asks a word generation provider (Claude by default, see wordProviders.js)
+ *    for words for all emoji of the batch in one prompt (10-20 words each by
+ *    default), and asks again for single emoji missing from the answer. The
+ *    prompt comes from a template (see promptTemplates.js)
+ * 3. Stores the results in a file with offset information, together with the
+ *    provider, model, prompt hash and raw response they came from (see
+ *    generatedWordsFile.js)
  * 4. Updates the offset in a state file for the next run
  *
+ * Emoji that get no usable words, because the provider fails, times out or
+ * answers something unreadable, are not written to the batch file. They go to
+ * a failure queue (emoji_generator_failures.json) with the reason and the raw
+ * response, and --retry-failed processes just those emoji again.
+ *
+ * With --all or --count it goes on with the next batches, several at a time
+ * with --concurrency, and saves the state after every batch. Ctrl+C lets the
+ * requests in progress finish and saves the state before exiting. Batches
+ * whose request fails as a whole (provider error, timeout, unreadable answer)
+ * don't move the offset, and after --max-failed-batches of them in a row the
+ * run stops, rather than sending every remaining batch to a provider that is
+ * down.
+ *
+ * With --locale it generates Dutch or German words instead of English ones,
+ * with their own prompt template, output directory (generated_words/nl/),
+ * state file and failure queue.
+ *
+ * It is also available as `symbollify generate`.
+ *
  * Usage:
- *   node generateEmojiWords.js [offset]
+ *   node generateEmojiWords.js [--offset N] [--all | --count N] [--concurrency N]
+ *                              [--rate-limit N] [--retry-failed]
+ *                              [--provider NAME] [--command CMD]
+ *                              [--url URL] [--model NAME] [--locale CODE]
+ *                              [--prompt FILE] [--timeout SECONDS]
+ *                              [--max-failed-batches N] [--verbose]
  *
- * Arguments:
- *   offset - Optional starting offset (defaults to value in state file or 0)
+ * Options:
+ *   --offset        Starting offset (defaults to value in state file or 0)
+ *   --all           Process batches until every emoji has words
+ *   --count         Number of batches to process (default: 1)
+ *   --concurrency   Batches to process at the same time (default: 1)
+ *   --rate-limit    Maximum number of requests per minute
+ *   --retry-failed  Process only the emoji in the failure queue
+ *   --provider      claude, command, http or offline (default: claude)
+ *   --command       Command for the command provider
+ *   --url           Base URL of the OpenAI-compatible API for the http provider
+ *   --model         Model for the http provider
+ *   --locale        en, nl or de (default: en), see wordLocales.js
+ *   --prompt        Prompt template (default: prompts/words.txt)
+ *   --timeout       Seconds to wait for an answer (default: 30)
+ *   --max-failed-batches  Stop after N batches in a row fail on provider
+ *                         errors (default: 3)
+ *   --verbose       Print the prompt of every request
  */
 
 const fs = require('fs');
 const path = require('path');
-const { spawn } = require('child_process');
-const readline = require('readline');
+const cli = require('./cli');
+const { loadConfig } = require('./config');
+const { findEmojiTestEntry, findFullyQualifiedEmoji } = require('./emojiData');
+const { PROVIDERS, FALLBACK_PROVIDERS, FALLBACK_MIN_WORDS, generateWords, stopRunningProcesses } = require('./wordProviders');
+const { VALIDATION_STEPS, validateWords, formatReport } = require('./wordValidator');
+const { renderTemplate, loadTemplate, selectExamples } = require('./promptTemplates');
+const { DICTIONARY_PATH, loadDictionary } = require('./emojiDictionaryLoader');
+const { DEFAULT_LOCALE, LOCALES, localizeFilePath, localizeOutputDir } = require('./wordLocales');
+const generatedWordsFile = require('./generatedWordsFile');
 
-// Configuration
+// Configuration, from symbollify.config.json and the environment (see config.js)
+const settings = loadConfig();
 const CONFIG = {
-  EMOJI_JSON_PATH: path.join(__dirname, 'allEmoji.json'),
-  STATE_FILE_PATH: path.join(__dirname, 'emoji_generator_state.json'),
-  OUTPUT_DIR: path.join(__dirname, 'generated_words'),
-  BATCH_SIZE: 4,
-  MIN_WORDS: 10,
-  MAX_WORDS: 20,
+  LOCALE: DEFAULT_LOCALE,
+  EMOJI_JSON_PATH: settings.emojiPath,
+  STATE_FILE_PATH: settings.statePath,
+  OUTPUT_DIR: settings.generatedDir,
+  BATCH_SIZE: settings.batchSize,
+  MIN_WORDS: settings.minWords,
+  MAX_WORDS: settings.maxWords,
+  MAX_PHRASE_WORDS: settings.maxPhraseWords,
+  BLOCKLIST: settings.blocklist,
+  VALIDATION_STEPS: settings.validationSteps || VALIDATION_STEPS,
+  PROMPT_TEMPLATE: settings.promptTemplate,
+  FEW_SHOT_EXAMPLES: settings.fewShotExamples,
+  PROVIDER: settings.provider,
+  PROVIDER_COMMAND: settings.providerCommand,
+  PROVIDER_URL: settings.providerUrl,
+  PROVIDER_MODEL: settings.providerModel,
+  PROVIDER_TIMEOUT: settings.providerTimeout,
+  FAILURES_PATH: settings.failuresPath,
+  CONCURRENCY: settings.concurrency,
+  RATE_LIMIT: settings.rateLimit,
+  MAX_FAILED_BATCHES: settings.maxFailedBatches,
+};
+
+// Prompt template and dictionary for few-shot examples, loaded by setupPrompt(),
+// and whether to print every prompt (--verbose)
+const prompting = {
+  template: null,
+  dictionary: {},
+  verbose: false,
+};
+
+// Command definition, shared with `symbollify generate`
+const command = {
+  name: 'generate',
+  description: 'Generate words for the next batch of emoji in allEmoji.json using Claude\n' +
+    'or another word generation provider.',
+  options: {
+    offset: {
+      type: 'string',
+      valueName: 'N',
+      description: 'Starting offset (default: the offset in the state file, or 0)'
+    },
+    all: {
+      type: 'boolean',
+      description: 'Process batches until every emoji has words'
+    },
+    count: {
+      type: 'string',
+      valueName: 'N',
+      description: 'Process N batches (default: 1)'
+    },
+    concurrency: {
+      type: 'string',
+      valueName: 'N',
+      description: `Batches to process at the same time (default: ${CONFIG.CONCURRENCY})`
+    },
+    'retry-failed': {
+      type: 'boolean',
+      description: 'Generate words again for the emoji in the failure queue only\n' +
+        '(all of them, or --count batches)'
+    },
+    'rate-limit': {
+      type: 'string',
+      valueName: 'N',
+      description: 'Send at most N requests per minute' +
+        (CONFIG.RATE_LIMIT ? ` (default: ${CONFIG.RATE_LIMIT})` : '')
+    },
+    provider: {
+      type: 'string',
+      valueName: 'NAME',
+      choices: Object.keys(PROVIDERS),
+      description: `Word generation provider (default: ${CONFIG.PROVIDER})`
+    },
+    command: {
+      type: 'string',
+      valueName: 'CMD',
+      description: 'Command for the command provider; it reads the request as\n' +
+        'JSON on standard input and writes the words as JSON'
+    },
+    url: {
+      type: 'string',
+      valueName: 'URL',
+      description: 'Base URL of the OpenAI-compatible API for the http provider\n' +
+        `(default: ${CONFIG.PROVIDER_URL})`
+    },
+    model: {
+      type: 'string',
+      valueName: 'NAME',
+      description: 'Model for the http provider'
+    },
+    locale: {
+      type: 'string',
+      valueName: 'CODE',
+      choices: Object.keys(LOCALES),
+      description: `Language of the words (default: ${DEFAULT_LOCALE}); other locales have their\n` +
+        'own prompt template, output directory, state and failure queue'
+    },
+    prompt: {
+      type: 'string',
+      valueName: 'FILE',
+      description: 'Prompt template (default: prompts/words.txt, or the\n' +
+        'promptTemplate setting; prompts/words.LOCALE.txt with --locale)'
+    },
+    timeout: {
+      type: 'string',
+      valueName: 'SECONDS',
+      description: `Seconds to wait for an answer (default: ${CONFIG.PROVIDER_TIMEOUT})`
+    },
+    'max-failed-batches': {
+      type: 'string',
+      valueName: 'N',
+      description: 'Stop after N batches in a row fail on provider errors\n' +
+        `(default: ${CONFIG.MAX_FAILED_BATCHES})`
+    },
+    verbose: {
+      type: 'boolean',
+      short: 'v',
+      description: 'Print the prompt of every request'
+    }
+  },
+  examples: [
+    '',
+    '--offset 0',
+    '--all --concurrency 4 --rate-limit 30',
+    '--count 10',
+    '--locale nl --count 10',
+    '--retry-failed',
+    '--provider http --url http://localhost:8000/v1 --model llama3.1',
+    '--provider command --command "python3 my_model.py"',
+    '--provider offline',
+    '--provider offline --verbose'
+  ],
+  run: main
 };
 
 /**
  * Main function
+ *
+ * @param {Object} values - Option values from cli.parseCommandArgs()
  */
-async function main() {
+async function main(values) {
+  const offsetOption = parseOffset(values.offset);
+  const count = parseWholeNumber(values.count, 'count');
+  const concurrency = parseWholeNumber(values.concurrency, 'concurrency') || CONFIG.CONCURRENCY;
+  const rateLimit = parseWholeNumber(values['rate-limit'], 'rate-limit') || CONFIG.RATE_LIMIT;
+  const maxFailedBatches = parseWholeNumber(values['max-failed-batches'], 'max-failed-batches') || CONFIG.MAX_FAILED_BATCHES;
+  const provider = getProviderOptions(values);
+  applyLocale(values.locale || DEFAULT_LOCALE);
+
+  const unknownSteps = CONFIG.VALIDATION_STEPS.filter(step => !VALIDATION_STEPS.includes(step));
+  if (unknownSteps.length > 0) {
+    console.error(`Error: Unknown validation step(s) in validationSteps: ${unknownSteps.join(', ')}. Expected: ${VALIDATION_STEPS.join(', ')}`);
+    return cli.EXIT_CODES.FAILURE;
+  }
+
+  if (values.all && count !== null) {
+    throw new cli.UsageError('Use either --all or --count, not both');
+  }
+  if (values['retry-failed'] && offsetOption !== null) {
+    throw new cli.UsageError('--offset does not apply to --retry-failed');
+  }
+
+  // Finish the requests in progress on Ctrl+C; a second Ctrl+C quits at once.
+  // failedBatches and providerError track the batches in a row that failed
+  // on provider errors, for the circuit breaker in recordBatch()
+  const run = { stopping: false, maxFailedBatches, failedBatches: 0, providerError: null };
+  const onInterrupt = () => {
+    if (run.stopping) {
+      console.warn('\nQuitting without waiting for the requests in progress.');
+      stopRunningProcesses();
+      process.exit(cli.EXIT_CODES.INTERRUPTED);
+    }
+    run.stopping = true;
+    console.warn('\nStopping after the requests in progress finish (press Ctrl+C again to quit now)...');
+  };
+
   try {
     // Create output directory if it doesn't exist
     if (!fs.existsSync(CONFIG.OUTPUT_DIR)) {
@@ -44,246 +260,875 @@ async function main() {
     // Check if allEmoji.json exists
     if (!fs.existsSync(CONFIG.EMOJI_JSON_PATH)) {
       console.error(`Error: ${CONFIG.EMOJI_JSON_PATH} not found. Please run index.js first.`);
-      process.exit(1);
+      return cli.EXIT_CODES.FAILURE;
     }
 
     // Load emoji data
     console.log(`Loading emoji from ${CONFIG.EMOJI_JSON_PATH}...`);
     const allEmojiData = JSON.parse(fs.readFileSync(CONFIG.EMOJI_JSON_PATH, 'utf8'));
+    console.log(`Generating ${LOCALES[CONFIG.LOCALE].language} words (${CONFIG.LOCALE}) in ${CONFIG.OUTPUT_DIR}`);
+
+    provider.throttle = createRateLimiter(rateLimit);
+    setupPrompt(values.prompt);
+    prompting.verbose = Boolean(values.verbose);
+    process.on('SIGINT', onInterrupt);
+
+    if (values['retry-failed']) {
+      console.log(`Using provider: ${provider.name}${provider.model ? ` (${provider.model})` : ''}`);
+      return await retryFailedEmoji(allEmojiData, provider, run, count || Infinity, concurrency);
+    }
 
-    // Determine starting offset
-    let currentOffset = determineOffset();
+    // Determine starting offset, and the batches after it that are done already
+    const state = determineOffset(offsetOption);
+    let currentOffset = state.currentOffset;
     console.log(`Starting from offset: ${currentOffset}`);
+    console.log(`Using provider: ${provider.name}${provider.model ? ` (${provider.model})` : ''}`);
 
     // Check if we've reached the end
     if (currentOffset >= allEmojiData.length) {
+      if (values.all) {
+        console.log('All emoji have been processed.');
+        return;
+      }
       console.log('All emoji have been processed. Resetting offset to 0.');
       currentOffset = 0;
+      state.completedOffsets = [];
       saveState(currentOffset);
     }
 
-    // Get the current batch
-    const endOffset = Math.min(currentOffset + CONFIG.BATCH_SIZE, allEmojiData.length);
-    const currentBatch = allEmojiData.slice(currentOffset, endOffset);
+    // Plan the batches: one by default, --count of them, or all that are left
+    const batchLimit = values.all ? Infinity : (count || 1);
+    const completed = new Set(state.completedOffsets);
+    const batchOffsets = [];
+    for (let offset = currentOffset; offset < allEmojiData.length && batchOffsets.length < batchLimit; offset += CONFIG.BATCH_SIZE) {
+      if (!completed.has(offset)) batchOffsets.push(offset);
+    }
+
+    if (batchOffsets.length > 1) {
+      console.log(`Processing ${batchOffsets.length} batches with ${concurrency} worker(s)` +
+        (rateLimit ? `, at most ${rateLimit} requests per minute` : ''));
+    }
+
+    // Checkpoint after every batch; the state offset only moves past batches
+    // that are done, and later batches done early are remembered
+    let checkpoint = currentOffset;
+    const checkpointBatch = startOffset => {
+      completed.add(startOffset);
+      while (completed.has(checkpoint)) {
+        completed.delete(checkpoint);
+        checkpoint = Math.min(checkpoint + CONFIG.BATCH_SIZE, allEmojiData.length);
+      }
+      saveState(checkpoint, [...completed].sort((a, b) => a - b));
+      console.log(`Updated state file with new offset: ${checkpoint}` +
+        (completed.size > 0 ? ` (${completed.size} later batch(es) done)` : ''));
+    };
+
+    // Batches that failed on a provider error aren't done: the offset stays
+    // before them, so the next run asks for their words again
+    const processed = await runWorkers(batchOffsets, concurrency, run, async startOffset => {
+      const outcome = await processBatch(allEmojiData, startOffset, provider);
+      if (recordBatch(run, outcome)) {
+        checkpointBatch(startOffset);
+      }
+    });
+
+    if (run.providerError) {
+      saveState(checkpoint, [...completed].sort((a, b) => a - b));
+      console.error(`\nStopped after ${run.failedBatches} batches in a row failed on provider errors: ${run.providerError}`);
+      console.error(`Run again to continue from offset ${checkpoint} once ${provider.name} works again.`);
+      return cli.EXIT_CODES.FAILURE;
+    }
+    if (run.stopping && processed < batchOffsets.length) {
+      console.log(`\nInterrupted after ${processed} of ${batchOffsets.length} batches. Run again to continue from offset ${checkpoint}.`);
+      return cli.EXIT_CODES.INTERRUPTED;
+    }
+    if (batchOffsets.length > 1) {
+      console.log(`\nProcessed ${processed} batches; next offset: ${checkpoint}`);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    return cli.EXIT_CODES.FAILURE;
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+/**
+ * Use the files of a locale: its prompt template, output directory, state
+ * file and failure queue (see wordLocales.js)
+ *
+ * @param {String} locale - Locale code, one of the keys of LOCALES
+ */
+function applyLocale(locale) {
+  CONFIG.LOCALE = locale;
+  CONFIG.PROMPT_TEMPLATE = localizeFilePath(settings.promptTemplate, locale);
+  CONFIG.OUTPUT_DIR = localizeOutputDir(settings.generatedDir, locale);
+  CONFIG.STATE_FILE_PATH = localizeFilePath(settings.statePath, locale);
+  CONFIG.FAILURES_PATH = localizeFilePath(settings.failuresPath, locale);
+}
 
-    console.log(`Processing emoji ${currentOffset + 1} to ${endOffset} of ${allEmojiData.length}`);
-    console.log(
-      'Emoji in this batch:',
-      currentBatch.map(item => (typeof item === 'string' ? item : item.emoji)).join(' ')
-    );
+/**
+ * Generate and save the words for one batch
+ *
+ * @param {Array} allEmojiData - Items from allEmoji.json
+ * @param {Number} currentOffset - Offset of the first emoji of the batch
+ * @param {Object} provider - Result of getProviderOptions()
+ * @returns {Promise<Object>} Result of generateWordsForBatch()
+ */
+async function processBatch(allEmojiData, currentOffset, provider) {
+  // Get the current batch
+  const endOffset = Math.min(currentOffset + CONFIG.BATCH_SIZE, allEmojiData.length);
+  const currentBatch = allEmojiData.slice(currentOffset, endOffset);
 
-    // Generate words for each emoji in the batch
-    const results = {};
-    for (const emojiItem of currentBatch) {
-      const emoji = typeof emojiItem === 'string' ? emojiItem : emojiItem.emoji;
-      console.log(`\nGenerating words for emoji: ${emoji}`);
+  console.log(`\nProcessing emoji ${currentOffset + 1} to ${endOffset} of ${allEmojiData.length}`);
+  console.log(
+    'Emoji in this batch:',
+    currentBatch.map(item => (typeof item === 'string' ? item : item.emoji)).join(' ')
+  );
 
-      const words = await generateWordsForEmoji(emoji);
-      results[emoji] = words;
+  // Select the emoji that get words of their own
+  const batchItems = [];
+  for (const emojiItem of currentBatch) {
+    const emoji = typeof emojiItem === 'string' ? emojiItem : emojiItem.emoji;
 
-      console.log(`Generated ${words.length} words: ${words.join(', ')}`);
+    if (!isStandaloneEmoji(emojiItem)) {
+      console.log(`Skipping ${emoji}: component or non-emoji character`);
+      continue;
     }
 
-    // Save results
-    const outputFileName = `emoji_words_${currentOffset}_${endOffset - 1}.json`;
-    const outputPath = path.join(CONFIG.OUTPUT_DIR, outputFileName);
+    if (emojiItem.baseEmoji) {
+      console.log(`Skipping ${emoji}: skin tone variant, words come from ${emojiItem.baseEmoji}`);
+      continue;
+    }
 
-    fs.writeFileSync(outputPath, JSON.stringify(results, null, 2), 'utf8');
-    console.log(`\nSaved results to ${outputPath}`);
+    batchItems.push(emojiItem);
+  }
 
-    // Update state with new offset
-    saveState(endOffset);
-    console.log(`Updated state file with new offset: ${endOffset}`);
-  } catch (error) {
-    console.error('Error:', error.message);
-    process.exit(1);
+  // Generate words for the whole batch
+  const outcome = batchItems.length > 0
+    ? await generateWordsForBatch(batchItems, provider)
+    : { results: {}, failures: {}, requests: [], sources: {}, providerError: null };
+  for (const [emoji, words] of Object.entries(outcome.results)) {
+    console.log(`Generated ${words.length} words for ${emoji}: ${words.join(', ')}`);
+  }
+
+  // Save results; failed emoji go to the failure queue instead
+  const outputFileName = `emoji_words_${currentOffset}_${endOffset - 1}.json`;
+  const outputPath = path.join(CONFIG.OUTPUT_DIR, outputFileName);
+  updateFailures(outcome, () => outputFileName, provider);
+
+  // Without any words, leave the file alone: don't write an empty one, or
+  // replace the words of an earlier run with nothing
+  if (Object.keys(outcome.results).length === 0) {
+    console.warn(`No words for this batch; not writing ${outputPath}`);
+    return outcome;
+  }
+
+  const generatedWords = generatedWordsFile.createGeneratedWords({
+    generator: path.basename(__filename),
+    provider: provider.name,
+    model: provider.model || null,
+    locale: CONFIG.LOCALE,
+  });
+  generatedWordsFile.addGeneratedWords(generatedWords, outcome);
+  generatedWordsFile.saveGeneratedWords(outputPath, generatedWords);
+  console.log(`Saved results to ${outputPath}`);
+
+  return outcome;
+}
+
+/**
+ * Count a batch for the circuit breaker
+ *
+ * A batch whose request failed as a whole counts as failed; any other batch
+ * resets the count. Once run.maxFailedBatches batches in a row have failed,
+ * run.providerError is set to the last error and the workers stop.
+ *
+ * @param {Object} run - { stopping, maxFailedBatches, failedBatches, providerError }
+ * @param {Object} outcome - Result of generateWordsForBatch()
+ * @returns {Boolean} True when the batch is done, false when it failed
+ */
+function recordBatch(run, outcome) {
+  if (!outcome.providerError) {
+    run.failedBatches = 0;
+    return true;
+  }
+
+  run.failedBatches++;
+  if (run.failedBatches >= run.maxFailedBatches && !run.providerError) {
+    run.providerError = outcome.providerError;
+    run.stopping = true;
+  }
+  return false;
+}
+
+/**
+ * Run tasks with a pool of workers
+ *
+ * Workers take the next item until there are none left or run.stopping is
+ * set; tasks that have started always finish. When a task throws, the other
+ * workers stop too, the provider processes still running are ended, and the
+ * error is thrown once every worker has stopped.
+ *
+ * @param {Array} items - Items to process, in order
+ * @param {Number} concurrency - Number of workers
+ * @param {Object} run - { stopping }, set by the SIGINT handler
+ * @param {Function} task - Async function called with each item
+ * @returns {Promise<Number>} Number of items processed
+ */
+async function runWorkers(items, concurrency, run, task) {
+  let next = 0;
+  let processed = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (!run.stopping && next < items.length) {
+      try {
+        await task(items[next++]);
+      } catch (error) {
+        if (!failure) {
+          failure = error;
+          run.stopping = true;
+          stopRunningProcesses();
+        }
+        return;
+      }
+      processed++;
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  if (failure) {
+    throw failure;
+  }
+  return processed;
+}
+
+/**
+ * Create a function that spaces out provider requests
+ *
+ * @param {Number|null} requestsPerMinute - Rate limit, or null for none
+ * @returns {Function} Async function that resolves when the next request may start
+ */
+function createRateLimiter(requestsPerMinute) {
+  if (!requestsPerMinute) {
+    return async () => {};
+  }
+
+  const interval = 60000 / requestsPerMinute;
+  let nextSlot = 0;
+
+  return async () => {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  };
+}
+
+/**
+ * Parse the --offset option
+ *
+ * @param {String} value - Option value, if given
+ * @returns {Number|null} Offset, or null to use the state file
+ * @throws {cli.UsageError} When the value is not a non-negative integer
+ */
+function parseOffset(value) {
+  if (value === undefined) {
+    return null;
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new cli.UsageError(`Invalid offset: ${value}. Expected a number of 0 or more`);
+  }
+
+  return parseInt(value, 10);
+}
+
+/**
+ * Parse a whole-number option such as --count
+ *
+ * @param {String} value - Option value, if given
+ * @param {String} name - Option name, for the error message
+ * @returns {Number|null} The number, or null when the option is not given
+ * @throws {cli.UsageError} When the value is not a number of 1 or more
+ */
+function parseWholeNumber(value, name) {
+  if (value === undefined) {
+    return null;
   }
+
+  if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+    throw new cli.UsageError(`Invalid ${name}: ${value}. Expected a number of 1 or more`);
+  }
+
+  return parseInt(value, 10);
+}
+
+/**
+ * Collect the provider and its options from the command line and config
+ *
+ * @param {Object} values - Option values from cli.parseCommandArgs()
+ * @returns {Object} { name, command, url, model, timeout in milliseconds }
+ * @throws {cli.UsageError} When the provider or timeout is invalid
+ */
+function getProviderOptions(values) {
+  const name = values.provider || CONFIG.PROVIDER;
+  if (!PROVIDERS[name]) {
+    throw new cli.UsageError(`Unknown provider '${name}'. Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  let timeout = CONFIG.PROVIDER_TIMEOUT;
+  if (values.timeout !== undefined) {
+    if (!/^\d+$/.test(values.timeout) || values.timeout === '0') {
+      throw new cli.UsageError(`Invalid timeout: ${values.timeout}. Expected a number of seconds`);
+    }
+    timeout = parseInt(values.timeout, 10);
+  }
+
+  const options = {
+    name,
+    command: values.command || CONFIG.PROVIDER_COMMAND,
+    url: values.url || CONFIG.PROVIDER_URL,
+    model: values.model || CONFIG.PROVIDER_MODEL,
+    timeout: timeout * 1000,
+  };
+
+  if (name === 'command' && !options.command) {
+    throw new cli.UsageError('The command provider needs --command CMD (or the providerCommand setting)');
+  }
+  if (name === 'http' && !options.model) {
+    throw new cli.UsageError('The http provider needs --model NAME (or the providerModel setting)');
+  }
+
+  return options;
+}
+
+/**
+ * Describe an emoji for the provider, from its record and emoji-test.txt
+ *
+ * The keywords come from the CLDR annotations of the locale only (see
+ * importCldrAnnotations.js), so no English words end up in other locales.
+ * The name is the locale's one, or else the English name, which still tells
+ * a model what the emoji is.
+ *
+ * @param {String|Object} emojiItem - Item from allEmoji.json
+ * @returns {Object} { emoji, name, group, subgroup, keywords }
+ */
+function describeEmoji(emojiItem) {
+  const emoji = typeof emojiItem === 'string' ? emojiItem : emojiItem.emoji;
+  const entry = findEmojiTestEntry(findFullyQualifiedEmoji(emoji) || emoji) || {};
+  const annotation = (emojiItem.annotations && emojiItem.annotations[CONFIG.LOCALE]) || {};
+
+  return {
+    emoji,
+    name: annotation.name || entry.name || null,
+    group: emojiItem.category || entry.group || null,
+    subgroup: emojiItem.subcategory || entry.subgroup || null,
+    keywords: annotation.keywords || [],
+  };
 }
 
 /**
  * Determine the starting offset from command line or state file
+ *
+ * @param {Number|null} commandLineOffset - Offset from --offset, if given
+ * @returns {Object} { currentOffset, completedOffsets }, where
+ *   completedOffsets are the batches after currentOffset that are done
  */
-function determineOffset() {
-  // Check command line argument first
-  const commandLineOffset = parseInt(process.argv[2]);
-  if (!isNaN(commandLineOffset) && commandLineOffset >= 0) {
-    return commandLineOffset;
+function determineOffset(commandLineOffset) {
+  // Check command line option first
+  if (commandLineOffset !== null) {
+    return { currentOffset: commandLineOffset, completedOffsets: [] };
   }
 
   // Otherwise check state file
   try {
     if (fs.existsSync(CONFIG.STATE_FILE_PATH)) {
       const state = JSON.parse(fs.readFileSync(CONFIG.STATE_FILE_PATH, 'utf8'));
-      return state.currentOffset || 0;
+      return {
+        currentOffset: state.currentOffset || 0,
+        completedOffsets: state.completedOffsets || [],
+      };
     }
   } catch (error) {
     console.warn(`Warning: Could not read state file: ${error.message}`);
   }
 
   // Default to 0
-  return 0;
+  return { currentOffset: 0, completedOffsets: [] };
 }
 
 /**
  * Save the current state
+ *
+ * @param {Number} newOffset - Offset of the first batch that isn't done
+ * @param {Array} completedOffsets - Offsets of later batches that are done,
+ *   when several workers finish out of order
  */
-function saveState(newOffset) {
+function saveState(newOffset, completedOffsets = []) {
   const state = {
     currentOffset: newOffset,
     lastUpdated: new Date().toISOString(),
   };
+  if (completedOffsets.length > 0) {
+    state.completedOffsets = completedOffsets;
+  }
 
   fs.writeFileSync(CONFIG.STATE_FILE_PATH, JSON.stringify(state, null, 2), 'utf8');
 }
 
 /**
- * Generate words for a single emoji using Claude
+ * Check whether an emoji deserves words of its own
+ *
+ * Components (skin tones, variation selectors) and characters without the
+ * Emoji property only show up in allEmoji.json when it was extracted with the
+ * range strategy. Plain string items carry no properties and are kept.
  */
-async function generateWordsForEmoji(emoji) {
-  return new Promise((resolve, reject) => {
-    // Simple validation to ensure we have an emoji
-    if (!emoji || emoji.trim() === '') {
-      reject(new Error('Empty emoji provided'));
-      return;
+function isStandaloneEmoji(emojiItem) {
+  if (typeof emojiItem === 'string') {
+    return true;
+  }
+
+  if (emojiItem.component) {
+    return false;
+  }
+
+  return !emojiItem.emojiProperties || emojiItem.emojiProperties.includes('Emoji');
+}
+
+/**
+ * Key used to match the emoji in a response with the requested emoji, as
+ * models may add or drop U+FE0F selectors
+ */
+function toMatchKey(emoji) {
+  return emoji.replace(/\uFE0F/g, '');
+}
+
+/**
+ * Load the prompt template and the dictionary entries for few-shot examples
+ *
+ * @param {String} templatePath - Template file (default: the promptTemplate setting)
+ * @throws {Error} When the template can't be read
+ */
+function setupPrompt(templatePath = CONFIG.PROMPT_TEMPLATE) {
+  prompting.template = loadTemplate(templatePath);
+  prompting.dictionary = {};
+
+  if (CONFIG.FEW_SHOT_EXAMPLES > 0 && /\{\{#(examples|hasExamples)\}\}/.test(prompting.template) &&
+    fs.existsSync(DICTIONARY_PATH)) {
+    try {
+      prompting.dictionary = loadDictionary(DICTIONARY_PATH);
+    } catch (error) {
+      console.warn(`Warning: No few-shot examples, could not read ${DICTIONARY_PATH}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Create the prompt for a batch of emoji from the template
+ *
+ * @param {Array} descriptions - Results of describeEmoji()
+ * @returns {String} Prompt asking for a JSON object keyed by emoji
+ */
+function createBatchPrompt(descriptions) {
+  const isClean = words => {
+    const report = validateWords(words, getValidationOptions());
+    return report.fixed.length === 0 && report.rejected.length === 0;
+  };
+  const examples = selectExamples(prompting.dictionary, descriptions, CONFIG.FEW_SHOT_EXAMPLES, isClean)
+    .map(example => ({ ...example, words: example.words.slice(0, CONFIG.MAX_WORDS) }));
+  const responseFormat = descriptions
+    .map(description => `${JSON.stringify(description.emoji)}: ["word1", "word2", ...]`)
+    .join(', ');
+
+  return renderTemplate(prompting.template, {
+    locale: CONFIG.LOCALE,
+    language: LOCALES[CONFIG.LOCALE].language,
+    minWords: CONFIG.MIN_WORDS,
+    maxWords: CONFIG.MAX_WORDS,
+    maxPhraseWords: CONFIG.MAX_PHRASE_WORDS,
+    responseFormat: `{${responseFormat}}`,
+    emoji: descriptions.map(description => ({
+      emoji: description.emoji,
+      name: description.name,
+      category: description.group,
+      subcategory: description.subgroup,
+      keywords: description.keywords,
+    })),
+    examples,
+    hasExamples: examples.length > 0,
+  }).trim();
+}
+
+/**
+ * Parse a response to a batch prompt
+ *
+ * @param {String} output - Raw response text
+ * @param {Array} emojiList - The requested emoji
+ * @returns {Object} { words: emoji -> word array, problems: emoji -> reason }
+ *   for every requested emoji
+ * @throws {Error} When the response is not a JSON object
+ */
+function parseBatchResponse(output, emojiList) {
+  let jsonString = output.trim();
+
+  // If the response is wrapped in backticks, extract just the JSON
+  const match = jsonString.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  if (match) {
+    jsonString = match[1].trim();
+  }
+
+  const response = JSON.parse(jsonString);
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
+    throw new Error('Response is not a JSON object');
+  }
+
+  // Find the answer for each emoji, whatever its selectors
+  const answers = new Map();
+  for (const [key, value] of Object.entries(response)) {
+    answers.set(toMatchKey(key.trim()), value);
+  }
+
+  const words = {};
+  const problems = {};
+  for (const emoji of emojiList) {
+    const value = answers.get(toMatchKey(emoji));
+
+    if (value === undefined) {
+      problems[emoji] = 'missing from the response';
+    } else if (!Array.isArray(value)) {
+      problems[emoji] = 'value is not an array';
+    } else if (value.length === 0) {
+      problems[emoji] = 'empty array';
+    } else {
+      words[emoji] = value;
     }
+  }
 
-    // Create a single-line prompt for Claude CLI
-    const prompt = `I need ${CONFIG.MIN_WORDS}-${CONFIG.MAX_WORDS} relevant words or phrases that correspond to the emoji: ${emoji}. The words should be: Common English words or phrases; A mix of nouns, verbs, adjectives, and common expressions; Relevant to what the emoji visually represents or is commonly used for; Lowercase and without punctuation; One to three words each (for phrases). Please respond in this exact format, with just a JavaScript array of strings, NOTHING ELSE: ["word1", "word2", "word3", ...]. Do not consume more context.`;
+  return { words, problems };
+}
 
+/**
+ * Options for validateWords() from the configuration
+ *
+ * @param {Object} provider - Result of getProviderOptions(), if any; fallback
+ *   providers have a lower minimum number of words
+ */
+function getValidationOptions(provider = null) {
+  const fallback = provider !== null && FALLBACK_PROVIDERS.includes(provider.name);
+  return {
+    steps: CONFIG.VALIDATION_STEPS,
+    minWords: fallback ? Math.min(CONFIG.MIN_WORDS, FALLBACK_MIN_WORDS) : CONFIG.MIN_WORDS,
+    maxWords: CONFIG.MAX_WORDS,
+    maxPhraseWords: CONFIG.MAX_PHRASE_WORDS,
+    blocklist: CONFIG.BLOCKLIST,
+    alphabet: LOCALES[CONFIG.LOCALE].alphabet,
+  };
+}
+
+/**
+ * Validate the word lists of a parsed response, and report what was fixed
+ * or rejected per emoji
+ *
+ * Emoji left without valid words, or with fewer than minWords, move from
+ * words to problems.
+ *
+ * @param {Object} answer - Result of parseBatchResponse()
+ * @param {Object} provider - Result of getProviderOptions()
+ * @returns {Object} The answer with validated words
+ */
+function validateAnswer(answer, provider) {
+  const words = {};
+  const problems = { ...answer.problems };
+
+  for (const [emoji, list] of Object.entries(answer.words)) {
+    const report = validateWords(list, getValidationOptions(provider));
+    formatReport(emoji, report).forEach(line => console.log(line));
+
+    if (report.words.length === 0) {
+      const reasons = [...new Set(report.rejected.map(({ reason }) => reason))];
+      problems[emoji] = `no valid words (${reasons.join(', ')})`;
+    } else if (report.error) {
+      problems[emoji] = report.error;
+    } else {
+      words[emoji] = report.words;
+    }
+  }
+
+  return { words, problems };
+}
+
+/**
+ * Ask the provider once for the words of several emoji
+ *
+ * The request is added to requests, with the provider, model, prompt hash,
+ * times and raw response, or the error when it failed.
+ *
+ * @param {Array} descriptions - Results of describeEmoji()
+ * @param {Object} provider - Result of getProviderOptions()
+ * @param {Array} requests - Requests made for the batch so far
+ * @returns {Promise<Object>} Result of validateAnswer(), with the raw
+ *   response as output and the index in requests as request
+ * @throws {Error} When the provider fails or the response is not a JSON
+ *   object; error.output holds the raw response, if there was one
+ */
+async function requestWords(descriptions, provider, requests) {
+  const prompt = createBatchPrompt(descriptions);
+  if (prompting.verbose) {
     console.log(prompt);
-    try {
-      // If claude-cli is available, use it
-      console.log('Calling Claude to generate words...');
-
-      // Call claude directly with no arguments
-      // Claude CLI appears to read from stdin without needing a specific flag
-      console.log('Using standard input method');
-      const claude = spawn('claude', ['-p']);
-
-      // Write the prompt to stdin and close it
-      claude.stdin.write(prompt);
-      claude.stdin.end();
-
-      let output = '';
-      let errorOutput = '';
-
-      // Set a timeout to prevent hanging indefinitely
-      const timeout = setTimeout(() => {
-        console.warn('Claude request timed out after 30 seconds');
-        try {
-          // Attempt to kill the process gracefully
-          claude.kill('SIGTERM');
-          setTimeout(() => {
-            // Force kill if still running after 2 seconds
-            if (!claude.killed) claude.kill('SIGKILL');
-          }, 2000);
-        } catch (err) {
-          console.warn('Error killing Claude process:', err.message);
-        }
+  }
 
-        const fallbackWords = generateFallbackWords(emoji);
-        resolve(fallbackWords);
-      }, 30000);
-
-      // Handle process errors
-      claude.on('error', err => {
-        clearTimeout(timeout);
-        console.warn(`Claude process error: ${err.message}`);
-        const fallbackWords = generateFallbackWords(emoji);
-        resolve(fallbackWords);
-      });
-
-      claude.stdout.on('data', data => {
-        output += data.toString();
-      });
-
-      claude.stderr.on('data', data => {
-        errorOutput += data.toString();
-      });
-
-      claude.on('close', code => {
-        clearTimeout(timeout);
-
-        if (code !== 0) {
-          console.warn(`Claude CLI exited with code ${code}`);
-          console.warn(`Error output: ${errorOutput}`);
-
-          // If Claude CLI fails, fall back to mock implementation
-          const fallbackWords = generateFallbackWords(emoji);
-          resolve(fallbackWords);
-          return;
-        }
+  await provider.throttle();
+  console.log(`Calling ${provider.name} to generate words...`);
 
-        try {
-          // Extract the array from the response
-          let jsonString = output.trim();
-
-          // If the response is wrapped in backticks, extract just the JSON
-          const match = jsonString.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-          if (match) {
-            jsonString = match[1].trim();
-          }
-
-          // Parse the array
-          const words = JSON.parse(jsonString);
-
-          // Validate
-          if (!Array.isArray(words)) {
-            throw new Error('Response is not an array');
-          }
-
-          // Ensure we have enough words
-          if (words.length < CONFIG.MIN_WORDS) {
-            console.warn(
-              `Warning: Only got ${words.length} words, expected at least ${CONFIG.MIN_WORDS}`
-            );
-            // Add some fallback words if needed
-            while (words.length < CONFIG.MIN_WORDS) {
-              words.push(`word${words.length + 1}`);
-            }
-          }
-
-          // Limit to MAX_WORDS if we got too many
-          resolve(words.slice(0, CONFIG.MAX_WORDS));
-        } catch (error) {
-          console.warn(`Error parsing Claude response: ${error.message}`);
-          console.warn(`Raw response: ${output}`);
-
-          // Fall back to generating mock words
-          const fallbackWords = generateFallbackWords(emoji);
-          resolve(fallbackWords);
-        }
-      });
+  const request = {
+    provider: provider.name,
+    model: provider.model || null,
+    promptHash: generatedWordsFile.hashPrompt(prompt),
+    emoji: descriptions.map(description => description.emoji),
+    startedAt: new Date().toISOString(),
+  };
+  requests.push(request);
+
+  let output;
+  try {
+    output = await generateWords(provider.name, {
+      prompt,
+      emoji: descriptions,
+      locale: CONFIG.LOCALE,
+      minWords: CONFIG.MIN_WORDS,
+      maxWords: CONFIG.MAX_WORDS,
+    }, provider);
+  } catch (error) {
+    request.finishedAt = new Date().toISOString();
+    request.rawResponse = error.output !== undefined ? error.output : null;
+    request.error = error.message;
+    throw error;
+  }
+  request.finishedAt = new Date().toISOString();
+  request.rawResponse = output;
+
+  let answer;
+  try {
+    answer = parseBatchResponse(output, request.emoji);
+  } catch (error) {
+    const parseError = new Error(`Error parsing ${provider.name} response: ${error.message}`);
+    parseError.output = output;
+    request.error = parseError.message;
+    throw parseError;
+  }
+
+  return { ...validateAnswer(answer, provider), output, request: requests.length - 1 };
+}
+
+/**
+ * Generate words for a batch of emoji with one prompt
+ *
+ * Emoji that are missing from the answer or have a malformed value are asked
+ * for again, one by one. Emoji that still get no words are returned as
+ * failures, with the reason and the raw response. When the request fails as
+ * a whole (provider error, timeout, unreadable response), all emoji of the
+ * batch fail at once, rather than waiting for the provider once per emoji.
+ *
+ * @param {Array} batchItems - Items from allEmoji.json
+ * @param {Object} provider - Result of getProviderOptions()
+ * @returns {Promise<Object>} { results: emoji -> words, in batch order,
+ *   failures: emoji -> { reason, rawOutput }, requests: the requests made,
+ *   sources: emoji -> index in requests of the answer its words came from,
+ *   providerError: the error when the request failed as a whole, or null }
+ */
+async function generateWordsForBatch(batchItems, provider) {
+  const descriptions = batchItems.map(describeEmoji);
+  const requests = [];
+  let answer;
+
+  console.log(`\nGenerating words for emoji: ${descriptions.map(description => description.emoji).join(' ')}`);
+  const results = {};
+  const failures = {};
+  const sources = {};
+  try {
+    answer = await requestWords(descriptions, provider, requests);
+  } catch (error) {
+    console.warn(`Error calling ${provider.name}: ${error.message}`);
+    for (const description of descriptions) {
+      failures[description.emoji] = {
+        reason: error.message,
+        rawOutput: error.output !== undefined ? error.output : null,
+      };
+    }
+    return { results, failures, requests, sources, providerError: error.message };
+  }
+
+  for (const description of descriptions) {
+    const emoji = description.emoji;
+
+    if (answer.words[emoji]) {
+      results[emoji] = answer.words[emoji];
+      sources[emoji] = answer.request;
+      continue;
+    }
+
+    // Ask again for this emoji alone
+    console.warn(`No usable words for ${emoji} (${answer.problems[emoji]}); asking for it alone`);
+    let single;
+    try {
+      single = await requestWords([description], provider, requests);
     } catch (error) {
-      console.warn(`Error calling Claude: ${error.message}`);
+      single = { words: {}, problems: { [emoji]: error.message }, output: error.output };
+    }
 
-      // Fall back to generating mock words
-      const fallbackWords = generateFallbackWords(emoji);
-      resolve(fallbackWords);
+    if (single.words[emoji]) {
+      results[emoji] = single.words[emoji];
+      sources[emoji] = single.request;
+    } else {
+      console.warn(`Error generating words for ${emoji}: ${single.problems[emoji]}`);
+      failures[emoji] = {
+        reason: single.problems[emoji],
+        rawOutput: single.output !== undefined ? single.output : answer.output,
+      };
     }
-  });
+  }
+
+  return { results, failures, requests, sources, providerError: null };
 }
 
 /**
- * Generate fallback words if Claude is not available
+ * Load the queue of emoji that failed to get words
+ *
+ * @returns {Object} Object mapping each failed emoji to { file, reason,
+ *   rawOutput, provider, attempts, failedAt }
  */
-function generateFallbackWords(emoji) {
-  console.warn('Using fallback word generation');
+function loadFailures() {
+  try {
+    if (fs.existsSync(CONFIG.FAILURES_PATH)) {
+      return JSON.parse(fs.readFileSync(CONFIG.FAILURES_PATH, 'utf8'));
+    }
+  } catch (error) {
+    console.warn(`Warning: Could not read failure queue: ${error.message}`);
+  }
 
-  // Create mock words - in production, you would replace this with a real implementation
-  const wordCount =
-    Math.floor(Math.random() * (CONFIG.MAX_WORDS - CONFIG.MIN_WORDS + 1)) + CONFIG.MIN_WORDS;
+  return {};
+}
 
-  const mockWords = [];
-  for (let i = 0; i < wordCount; i++) {
-    mockWords.push(`word${i + 1}_for_${emoji.codePointAt(0).toString(16)}`);
+/**
+ * Update the failure queue after a batch
+ *
+ * Emoji that got words leave the queue; failed emoji are added, or counted
+ * again when they were queued already. The queue file is removed once it is
+ * empty.
+ *
+ * @param {Object} outcome - Result of generateWordsForBatch()
+ * @param {Function} fileFor - Returns the generated words file of an emoji
+ * @param {Object} provider - Result of getProviderOptions()
+ */
+function updateFailures({ results, failures }, fileFor, provider) {
+  const queue = loadFailures();
+
+  for (const emoji of Object.keys(results)) {
+    delete queue[emoji];
+  }
+
+  for (const [emoji, failure] of Object.entries(failures)) {
+    queue[emoji] = {
+      file: fileFor(emoji),
+      reason: failure.reason,
+      rawOutput: failure.rawOutput,
+      provider: provider.name,
+      attempts: ((queue[emoji] && queue[emoji].attempts) || 0) + 1,
+      failedAt: new Date().toISOString(),
+    };
+  }
+
+  if (Object.keys(queue).length > 0) {
+    fs.writeFileSync(CONFIG.FAILURES_PATH, JSON.stringify(queue, null, 2), 'utf8');
+  } else if (fs.existsSync(CONFIG.FAILURES_PATH)) {
+    fs.unlinkSync(CONFIG.FAILURES_PATH);
+  }
+
+  const failed = Object.keys(failures).length;
+  if (failed > 0) {
+    console.warn(`Added ${failed} emoji to the failure queue in ${CONFIG.FAILURES_PATH}`);
+  }
+}
+
+/**
+ * Generate words again for the emoji in the failure queue
+ *
+ * New words are added to the generated words file each emoji belongs to.
+ *
+ * @param {Array} allEmojiData - Items from allEmoji.json
+ * @param {Object} provider - Result of getProviderOptions()
+ * @param {Object} run - { stopping }, set by the SIGINT handler
+ * @param {Number} batchLimit - Maximum number of batches
+ * @param {Number} concurrency - Number of workers
+ * @returns {Promise<Number|undefined>} Exit code
+ */
+async function retryFailedEmoji(allEmojiData, provider, run, batchLimit, concurrency) {
+  const queue = loadFailures();
+  const failedEmoji = Object.keys(queue);
+
+  if (failedEmoji.length === 0) {
+    console.log('No failed emoji to retry.');
+    return;
+  }
+
+  const itemsByEmoji = new Map(
+    allEmojiData.map(item => [typeof item === 'string' ? item : item.emoji, item])
+  );
+  const batches = [];
+  for (let i = 0; i < failedEmoji.length && batches.length < batchLimit; i += CONFIG.BATCH_SIZE) {
+    batches.push(failedEmoji.slice(i, i + CONFIG.BATCH_SIZE).map(emoji => itemsByEmoji.get(emoji) || emoji));
   }
 
-  return mockWords;
+  console.log(`Retrying ${failedEmoji.length} failed emoji in ${batches.length} batches`);
+
+  const fileFor = emoji => queue[emoji].file;
+  const processed = await runWorkers(batches, concurrency, run, async batchItems => {
+    const outcome = await generateWordsForBatch(batchItems, provider);
+
+    // Add the new words to the files the emoji belong to, with the requests
+    // they came from
+    const resultsByFile = {};
+    for (const [emoji, words] of Object.entries(outcome.results)) {
+      console.log(`Generated ${words.length} words for ${emoji}: ${words.join(', ')}`);
+      resultsByFile[fileFor(emoji)] = { ...resultsByFile[fileFor(emoji)], [emoji]: words };
+    }
+    for (const [fileName, results] of Object.entries(resultsByFile)) {
+      const outputPath = path.join(CONFIG.OUTPUT_DIR, fileName);
+      const generatedWords = fs.existsSync(outputPath)
+        ? generatedWordsFile.loadGeneratedWords(outputPath)
+        : generatedWordsFile.createGeneratedWords({
+          generator: path.basename(__filename),
+          provider: provider.name,
+          model: provider.model || null,
+          locale: CONFIG.LOCALE,
+        });
+      generatedWordsFile.addGeneratedWords(generatedWords, { ...outcome, results });
+      generatedWordsFile.saveGeneratedWords(outputPath, generatedWords);
+      console.log(`Saved results to ${outputPath}`);
+    }
+
+    updateFailures(outcome, fileFor, provider);
+    recordBatch(run, outcome);
+  });
+
+  const remaining = Object.keys(loadFailures()).length;
+  console.log(`\nRetried ${processed} of ${batches.length} batches; ${remaining} emoji left in the failure queue`);
+  if (run.providerError) {
+    console.error(`Stopped after ${run.failedBatches} batches in a row failed on provider errors: ${run.providerError}`);
+    return cli.EXIT_CODES.FAILURE;
+  }
+  if (run.stopping && processed < batches.length) {
+    return cli.EXIT_CODES.INTERRUPTED;
+  }
 }
 
 // Run the main function
-main().catch(err => {
-  console.error('Unhandled error:', err);
-  process.exit(1);
-});
+if (require.main === module) {
+  cli.runCommand(command);
+}
+
+module.exports = { command };
@@ -0,0 +1,189 @@
+/**
+ * Generated Words Files
+ *
+ * generateEmojiWords.js writes its words to generated_words files with the
+ * words of each emoji and where they came from:
+ *
+ *   {
+ *     "format": "symbollify-generated-words",
+ *     "version": 1,
+ *     "generator": "generateEmojiWords.js",
+ *     "provider": "claude",
+ *     "model": null,
+ *     "locale": "en",
+ *     "createdAt": "2025-01-01T12:00:00.000Z",
+ *     "updatedAt": "2025-01-01T12:00:00.000Z",
+ *     "requests": [
+ *       { "provider": "claude", "model": null, "promptHash": "sha256:...",
+ *         "emoji": ["😀", "😃"], "startedAt": "...", "finishedAt": "...",
+ *         "rawResponse": "{\"😀\": [...], ...}" }
+ *     ],
+ *     "emoji": {
+ *       "😀": { "words": ["happy", "smile"], "fallback": false, "request": 0 }
+ *     }
+ *   }
+ *
+ * provider and model are those of the run that created the file; every
+ * request to a provider, including later retries and failed requests (with
+ * an error), is listed in requests. Each emoji refers to the request its
+ * words came from. fallback is true for words from a provider that answers
+ * without a model, such as the offline provider.
+ *
+ * Older files map each emoji straight to its words; the functions here read
+ * both formats.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { FALLBACK_PROVIDERS } = require('./wordProviders');
+
+// Format name and the newest version this code reads and writes
+const FORMAT = 'symbollify-generated-words';
+const FORMAT_VERSION = 1;
+
+/**
+ * Hash a prompt, to tell which prompt produced a set of words
+ *
+ * @param {String} prompt - Prompt text
+ * @returns {String} 'sha256:' followed by the hex digest
+ */
+function hashPrompt(prompt) {
+  return `sha256:${crypto.createHash('sha256').update(prompt, 'utf8').digest('hex')}`;
+}
+
+/**
+ * Create an empty generated words file
+ *
+ * @param {Object} generator - { generator, provider, model, locale }
+ * @returns {Object} File contents, as described at the top of this file
+ */
+function createGeneratedWords({ generator, provider = null, model = null, locale = null }) {
+  const now = new Date().toISOString();
+
+  return {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    generator,
+    provider,
+    model,
+    locale,
+    createdAt: now,
+    updatedAt: now,
+    requests: [],
+    emoji: {},
+  };
+}
+
+/**
+ * Check whether parsed file contents are in the versioned format
+ *
+ * @param {Object} data - Parsed JSON of a generated words file
+ * @returns {Boolean} True for the versioned format, false for the older one
+ * @throws {Error} When the file is of a newer version than this code reads
+ */
+function isVersioned(data) {
+  if (!data || data.format !== FORMAT) {
+    return false;
+  }
+
+  if (data.version > FORMAT_VERSION) {
+    throw new Error(`Generated words format version ${data.version} is newer than the supported version ${FORMAT_VERSION}`);
+  }
+
+  return true;
+}
+
+/**
+ * Convert parsed file contents of either format to the versioned format
+ *
+ * Words from older files have no request and aren't marked as fallback.
+ *
+ * @param {Object} data - Parsed JSON of a generated words file
+ * @returns {Object} File contents in the versioned format
+ */
+function toVersioned(data) {
+  if (isVersioned(data)) {
+    return data;
+  }
+
+  const generatedWords = createGeneratedWords({ generator: null });
+  generatedWords.createdAt = null;
+  for (const [emoji, words] of Object.entries(data)) {
+    generatedWords.emoji[emoji] = { words, fallback: false, request: null };
+  }
+
+  return generatedWords;
+}
+
+/**
+ * Get the words of each emoji from parsed file contents of either format
+ *
+ * @param {Object} data - Parsed JSON of a generated words file
+ * @returns {Object} Object mapping each emoji to its words
+ */
+function getWordLists(data) {
+  if (!isVersioned(data)) {
+    return data;
+  }
+
+  const wordLists = {};
+  for (const [emoji, entry] of Object.entries(data.emoji)) {
+    wordLists[emoji] = entry.words;
+  }
+  return wordLists;
+}
+
+/**
+ * Add the outcome of generating words for a batch
+ *
+ * @param {Object} generatedWords - File contents in the versioned format
+ * @param {Object} outcome - { results: emoji -> words, requests: [request],
+ *   sources: emoji -> index in requests }
+ */
+function addGeneratedWords(generatedWords, { results, requests, sources }) {
+  const firstRequest = generatedWords.requests.length;
+  generatedWords.requests.push(...requests);
+
+  for (const [emoji, words] of Object.entries(results)) {
+    const request = requests[sources[emoji]];
+    generatedWords.emoji[emoji] = {
+      words,
+      fallback: FALLBACK_PROVIDERS.includes(request.provider),
+      request: firstRequest + sources[emoji],
+    };
+  }
+
+  generatedWords.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Read a generated words file of either format
+ *
+ * @param {String} filePath - Path to the file
+ * @returns {Object} File contents in the versioned format
+ */
+function loadGeneratedWords(filePath) {
+  return toVersioned(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Write a generated words file
+ *
+ * @param {String} filePath - Path to the file
+ * @param {Object} generatedWords - File contents in the versioned format
+ */
+function saveGeneratedWords(filePath, generatedWords) {
+  fs.writeFileSync(filePath, JSON.stringify(generatedWords, null, 2), 'utf8');
+}
+
+module.exports = {
+  FORMAT,
+  FORMAT_VERSION,
+  hashPrompt,
+  createGeneratedWords,
+  isVersioned,
+  getWordLists,
+  addGeneratedWords,
+  loadGeneratedWords,
+  saveGeneratedWords
+};
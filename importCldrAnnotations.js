@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+
+/**
+ * CLDR Annotation Importer
+ *
+ * This script reads CLDR annotation XML files (common/annotations/en.xml,
+ * common/annotationsDerived/nl.xml, ...) stored on disk and:
+ * 1. Attaches the short name and keywords of each emoji to allEmoji.json
+ * 2. Optionally writes them as a generated_words batch, so mergeEmojiWords.js
+ *    can merge them into the dictionary like any other batch
+ *
+ * It is also available as `symbollify import-cldr`.
+ *
+ * Usage:
+ *   node importCldrAnnotations.js [--annotations PATH]... [--words]
+ *
+ * Options:
+ *   --annotations, -a  Annotation XML file or directory of them; can be repeated
+ *                      (default: data/cldr)
+ *   --words            Also write generated_words/cldr_annotations_en.json, and
+ *                      generated_words/LOCALE/cldr_annotations_LOCALE.json for
+ *                      other locales, so only English words merge into the
+ *                      dictionary
+ *   --locale           Only import this locale (default: all locales found)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cli = require('./cli');
+const { loadConfig } = require('./config');
+const { localizeOutputDir } = require('./wordLocales');
+
+// Configuration
+const CONFIG = {
+  EMOJI_JSON_PATH: loadConfig().emojiPath,
+  ANNOTATIONS_DIR: path.join(__dirname, 'data', 'cldr'),
+  OUTPUT_DIR: loadConfig().generatedDir,
+};
+
+// Command definition
+const command = {
+  name: 'import-cldr',
+  description: 'Import CLDR annotation names and keywords into allEmoji.json.',
+  options: {
+    annotations: {
+      type: 'string',
+      short: 'a',
+      multiple: true,
+      valueName: 'PATH',
+      description: 'Annotation XML file or directory of them; can be repeated\n(default: data/cldr)'
+    },
+    words: {
+      type: 'boolean',
+      description: 'Also write generated_words/cldr_annotations_LOCALE.json; locales\n' +
+        'other than en go to generated_words/LOCALE/'
+    },
+    locale: {
+      type: 'string',
+      valueName: 'LOCALE',
+      description: 'Only import this locale (default: all locales found)'
+    }
+  },
+  examples: ['', '--words', '-a cldr/common/annotations/en.xml -a cldr/common/annotationsDerived/en.xml'],
+  run: main
+};
+
+/**
+ * Main function
+ *
+ * @param {Object} values - Option values from cli.parseCommandArgs()
+ */
+async function main(values) {
+  try {
+    const options = {
+      annotations: values.annotations || [CONFIG.ANNOTATIONS_DIR],
+      words: Boolean(values.words),
+      locale: values.locale || null,
+    };
+
+    if (!fs.existsSync(CONFIG.EMOJI_JSON_PATH)) {
+      console.error(`Error: ${CONFIG.EMOJI_JSON_PATH} not found. Please run index.js first.`);
+      return cli.EXIT_CODES.FAILURE;
+    }
+
+    const files = findAnnotationFiles(options.annotations);
+    if (files.length === 0) {
+      console.error(`Error: No annotation XML files found in ${options.annotations.join(', ')}`);
+      return cli.EXIT_CODES.FAILURE;
+    }
+
+    // Collect annotations per locale; a locale may be spread over several
+    // files, such as annotations/en.xml and annotationsDerived/en.xml
+    const annotationsByLocale = {};
+    for (const filePath of files) {
+      const { locale, annotations } = parseAnnotationsXml(fs.readFileSync(filePath, 'utf8'));
+      const fileLocale = locale || path.basename(filePath, '.xml');
+
+      if (options.locale && fileLocale !== options.locale) {
+        continue;
+      }
+
+      console.log(`Read ${annotations.size} annotations for '${fileLocale}' from ${filePath}`);
+      if (!annotationsByLocale[fileLocale]) {
+        annotationsByLocale[fileLocale] = new Map();
+      }
+      for (const [key, annotation] of annotations) {
+        const existing = annotationsByLocale[fileLocale].get(key) || { name: null, keywords: [] };
+        annotationsByLocale[fileLocale].set(key, {
+          name: annotation.name || existing.name,
+          keywords: [...new Set([...existing.keywords, ...annotation.keywords])],
+        });
+      }
+    }
+
+    const locales = Object.keys(annotationsByLocale);
+    if (locales.length === 0) {
+      console.error(`Error: No annotations found for locale '${options.locale}'`);
+      return cli.EXIT_CODES.FAILURE;
+    }
+
+    // Attach annotations to the emoji records
+    const allEmojiData = JSON.parse(fs.readFileSync(CONFIG.EMOJI_JSON_PATH, 'utf8'));
+    const words = {};
+
+    for (const locale of locales) {
+      words[locale] = {};
+      let matched = 0;
+
+      for (const item of allEmojiData) {
+        if (typeof item === 'string') continue;
+
+        const annotation = annotationsByLocale[locale].get(toAnnotationKey(item.emoji));
+        if (!annotation) continue;
+
+        item.annotations = { ...item.annotations, [locale]: annotation };
+        words[locale][item.emoji] = annotationToWords(annotation);
+        matched++;
+      }
+
+      console.log(`Annotated ${matched} of ${allEmojiData.length} emoji for '${locale}'`);
+    }
+
+    fs.writeFileSync(CONFIG.EMOJI_JSON_PATH, JSON.stringify(allEmojiData, null, 2), 'utf8');
+    console.log(`Saved annotations to ${CONFIG.EMOJI_JSON_PATH}`);
+
+    // Write the words as generated_words batches
+    if (options.words) {
+      for (const locale of locales) {
+        // Each locale has a directory of its own, as for generateEmojiWords.js
+        // --locale, so merging generated_words/ only adds English words
+        const outputDir = localizeOutputDir(CONFIG.OUTPUT_DIR, locale);
+        if (!fs.existsSync(outputDir)) {
+          fs.mkdirSync(outputDir, { recursive: true });
+        }
+
+        const outputPath = path.join(outputDir, `cldr_annotations_${locale}.json`);
+        fs.writeFileSync(outputPath, JSON.stringify(words[locale], null, 2), 'utf8');
+        console.log(`Saved ${Object.keys(words[locale]).length} word lists to ${outputPath}`);
+      }
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    return cli.EXIT_CODES.FAILURE;
+  }
+}
+
+/**
+ * Expand the given files and directories to a list of XML files
+ */
+function findAnnotationFiles(paths) {
+  const files = [];
+
+  for (const inputPath of paths) {
+    if (!fs.existsSync(inputPath)) {
+      console.warn(`Warning: ${inputPath} does not exist`);
+    } else if (fs.statSync(inputPath).isDirectory()) {
+      files.push(
+        ...fs.readdirSync(inputPath)
+          .filter(file => file.endsWith('.xml'))
+          .sort()
+          .map(file => path.join(inputPath, file))
+      );
+    } else {
+      files.push(inputPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Parse a CLDR annotation XML file
+ *
+ * Each emoji has a keyword annotation and a "tts" annotation with its short name:
+ *   <annotation cp="😀">face | grin | grinning face</annotation>
+ *   <annotation cp="😀" type="tts">grinning face</annotation>
+ *
+ * @param {String} content - XML file contents
+ * @returns {Object} Object with the locale and a Map from annotation key to
+ *   { name, keywords }
+ */
+function parseAnnotationsXml(content) {
+  const annotations = new Map();
+  const language = content.match(/<language\s+type="([^"]+)"/);
+  const territory = content.match(/<territory\s+type="([^"]+)"/);
+  const annotationPattern = /<annotation\s+cp="([^"]+)"([^>]*)>([\s\S]*?)<\/annotation>/g;
+  let match;
+
+  while ((match = annotationPattern.exec(content)) !== null) {
+    const key = toAnnotationKey(decodeXmlEntities(match[1]));
+    const isName = /type="tts"/.test(match[2]);
+    const text = decodeXmlEntities(match[3]).trim();
+    const annotation = annotations.get(key) || { name: null, keywords: [] };
+
+    if (isName) {
+      annotation.name = text;
+    } else {
+      annotation.keywords = text.split('|').map(keyword => keyword.trim()).filter(Boolean);
+    }
+
+    annotations.set(key, annotation);
+  }
+
+  return {
+    locale: language ? language[1] + (territory ? `_${territory[1]}` : '') : null,
+    annotations,
+  };
+}
+
+/**
+ * Decode the XML entities that can appear in annotation files
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Key used to match emoji with annotations
+ *
+ * CLDR leaves out the U+FE0F emoji presentation selector (☺ rather than ☺️),
+ * so it is removed on both sides.
+ */
+function toAnnotationKey(emoji) {
+  return emoji.replace(/\uFE0F/g, '');
+}
+
+/**
+ * Turn an annotation into a lowercase word list, short name first
+ */
+function annotationToWords(annotation) {
+  const words = [annotation.name, ...annotation.keywords]
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+
+  return [...new Set(words)];
+}
+
+// Run the main function
+if (require.main === module) {
+  cli.runCommand(command);
+}
+
+module.exports = { command };
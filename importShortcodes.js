@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Emoji Shortcode Importer
+ *
+ * This script reads shortcode sets (:dog:, :+1:) for platforms such as GitHub,
+ * Slack and Discord from JSON files on disk and:
+ * 1. Attaches each platform's shortcodes to the emoji in allEmoji.json
+ * 2. Writes them to emojiShortcodes.js, which the translator in public/ and
+ *    `symbollify translate` use to read and write shortcodes
+ *
+ * The platform is the file name without .json, so name the files github.json,
+ * slack.json, discord.json and so on. See parseShortcodeSet() in
+ * emojiShortcodesLoader.js for the JSON layouts that are recognized. It is
+ * also available as `symbollify import-shortcodes`.
+ *
+ * Usage:
+ *   node importShortcodes.js [--shortcodes PATH]...
+ *
+ * Options:
+ *   --shortcodes, -s  Shortcode JSON file or directory of them; can be repeated
+ *                     (default: data/shortcodes)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  SHORTCODES_PATH,
+  parseShortcodeSet,
+  loadShortcodes,
+  generateShortcodesFile
+} = require('./emojiShortcodesLoader');
+const { loadConfig } = require('./config');
+const cli = require('./cli');
+
+// Configuration
+const CONFIG = {
+  EMOJI_JSON_PATH: loadConfig().emojiPath,
+  SHORTCODES_DIR: path.join(__dirname, 'data', 'shortcodes'),
+  SHORTCODES_PATH: SHORTCODES_PATH,
+};
+
+// Command definition
+const command = {
+  name: 'import-shortcodes',
+  description: 'Import GitHub, Slack, Discord or other shortcode sets into allEmoji.json\n' +
+    'and emojiShortcodes.js.',
+  options: {
+    shortcodes: {
+      type: 'string',
+      short: 's',
+      multiple: true,
+      valueName: 'PATH',
+      description: 'Shortcode JSON file or directory of them, named after the\n' +
+        'platform (github.json); can be repeated (default: data/shortcodes)'
+    }
+  },
+  examples: ['', '-s emojibase-data/en/shortcodes/github.json'],
+  run: main
+};
+
+/**
+ * Key used to match emoji in shortcode sets with extracted emoji
+ *
+ * Shortcode sets often leave out the U+FE0F selector, so it is removed on
+ * both sides.
+ */
+function toMatchKey(emoji) {
+  return emoji.replace(/\uFE0F/g, '');
+}
+
+/**
+ * Expand the given files and directories to a list of JSON files
+ */
+function findShortcodeFiles(paths) {
+  const files = [];
+
+  for (const inputPath of paths) {
+    if (!fs.existsSync(inputPath)) {
+      console.warn(`Warning: ${inputPath} does not exist`);
+    } else if (fs.statSync(inputPath).isDirectory()) {
+      files.push(
+        ...fs.readdirSync(inputPath)
+          .filter(file => file.endsWith('.json'))
+          .sort()
+          .map(file => path.join(inputPath, file))
+      );
+    } else {
+      files.push(inputPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Main function
+ *
+ * @param {Object} values - Option values from cli.parseCommandArgs()
+ */
+async function main(values) {
+  try {
+    const inputPaths = values.shortcodes || [CONFIG.SHORTCODES_DIR];
+
+    if (!fs.existsSync(CONFIG.EMOJI_JSON_PATH)) {
+      console.error(`Error: ${CONFIG.EMOJI_JSON_PATH} not found. Please run index.js first.`);
+      return cli.EXIT_CODES.FAILURE;
+    }
+
+    const files = findShortcodeFiles(inputPaths);
+    if (files.length === 0) {
+      console.error(`Error: No shortcode JSON files found in ${inputPaths.join(', ')}`);
+      return cli.EXIT_CODES.FAILURE;
+    }
+
+    const allEmojiData = JSON.parse(fs.readFileSync(CONFIG.EMOJI_JSON_PATH, 'utf8'));
+    const recordsByKey = new Map();
+    for (const item of allEmojiData) {
+      if (typeof item !== 'string') {
+        recordsByKey.set(toMatchKey(item.emoji), item);
+      }
+    }
+
+    // Keep the platforms that are not imported again
+    const table = loadShortcodes(CONFIG.SHORTCODES_PATH);
+
+    for (const filePath of files) {
+      const platform = path.basename(filePath, '.json');
+      const shortcodes = parseShortcodeSet(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      let matched = 0;
+
+      for (const entry of Object.values(table)) {
+        delete entry[platform];
+      }
+      for (const item of recordsByKey.values()) {
+        if (item.shortcodes) delete item.shortcodes[platform];
+      }
+
+      for (const [emoji, codes] of shortcodes) {
+        const item = recordsByKey.get(toMatchKey(emoji));
+        if (!item) continue;
+
+        item.shortcodes = { ...item.shortcodes, [platform]: codes };
+        table[item.emoji] = { ...table[item.emoji], [platform]: codes };
+        matched++;
+      }
+
+      console.log(`Read ${shortcodes.size} emoji with '${platform}' shortcodes from ${filePath}; ${matched} match allEmoji.json`);
+    }
+
+    // Drop emoji left without shortcodes, and write the table in allEmoji.json order
+    const sortedTable = {};
+    for (const item of allEmojiData) {
+      const emoji = typeof item === 'string' ? item : item.emoji;
+      if (table[emoji] && Object.keys(table[emoji]).length > 0) {
+        sortedTable[emoji] = table[emoji];
+      }
+    }
+
+    fs.writeFileSync(CONFIG.EMOJI_JSON_PATH, JSON.stringify(allEmojiData, null, 2), 'utf8');
+    console.log(`Saved shortcodes to ${CONFIG.EMOJI_JSON_PATH}`);
+
+    fs.writeFileSync(CONFIG.SHORTCODES_PATH, generateShortcodesFile(sortedTable), 'utf8');
+    console.log(`Saved ${Object.keys(sortedTable).length} emoji to ${CONFIG.SHORTCODES_PATH}`);
+  } catch (error) {
+    console.error('Error:', error.message);
+    return cli.EXIT_CODES.FAILURE;
+  }
+}
+
+// Run the main function
+if (require.main === module) {
+  cli.runCommand(command);
+}
+
+module.exports = { command };
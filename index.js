@@ -2,33 +2,67 @@
  * Emoji Extractor CLI
  * 
  * This script extracts all emoji from Unicode and outputs them to a JSON file.
+ * The annotations, shortcodes and renderable flags imported into an existing
+ * file are kept.
  * Run with: node index.js
+ * 
+ * For output formats, filters and dictionary comparison, use emojiToJson.js
+ * or `symbollify extract`.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { getAllEmoji } = require('./emojiExtractor'); // Using the more comprehensive implementation
+const {
+  getAllEmoji,
+  createEmojiRecord,
+  getEmojiVersions,
+  getEmojiProperties,
+  getEmojiCategory,
+  keepImportedFields
+} = require('./emojiExtractor');
+const cli = require('./cli');
+const { loadConfig } = require('./config');
+
+// Output file path (default: allEmoji.json)
+const OUTPUT_FILE = loadConfig().emojiPath;
 
-// Output file path
-const OUTPUT_FILE = path.join(__dirname, 'allEmoji.json');
+// Command definition; index.js takes no options besides --help
+const command = {
+  name: 'index',
+  description: 'Extract all emoji from the Unicode emoji data files to allEmoji.json.',
+  options: {},
+  run: main
+};
 
 /**
  * Main function to extract emoji and save to JSON
  */
 async function main() {
   try {
-    console.log('Extracting emoji from Unicode planes...');
+    console.log('Extracting emoji from the Unicode emoji data files...');
     
     // Get all emoji
     const allEmoji = getAllEmoji();
     console.log(`Found ${allEmoji.length} emoji characters`);
     
     // Create a more useful structure with code points
-    const emojiData = allEmoji.map(emoji => ({
-      emoji: emoji,
-      codePoint: `U+${emoji.codePointAt(0).toString(16).toUpperCase()}`,
-      unicodeVersion: getUnicodeVersion(emoji.codePointAt(0))
-    }));
+    const emojiData = allEmoji.map(emoji => {
+      const { category, subcategory } = getEmojiCategory(emoji);
+      
+      return {
+        ...createEmojiRecord(emoji),
+        ...getEmojiVersions(emoji),
+        ...getEmojiProperties(emoji),
+        category: category,
+        subcategory: subcategory
+      };
+    });
+    
+    // Keep what the importers added to the previous extraction
+    const kept = keepImportedFields(emojiData, OUTPUT_FILE);
+    if (kept > 0) {
+      console.log(`Kept the imported annotations, shortcodes and renderable flags of ${kept} emoji`);
+    }
     
     // Write to JSON file
     console.log(`Writing emoji data to ${OUTPUT_FILE}...`);
@@ -47,28 +81,9 @@ async function main() {
     
   } catch (error) {
     console.error('Error processing emoji:', error);
-    process.exit(1);
+    return cli.EXIT_CODES.FAILURE;
   }
 }
 
-/**
- * Estimate Unicode version based on code point
- * This is a simplified approach - accurate version would require a mapping table
- * 
- * @param {Number} codePoint - Unicode code point
- * @returns {String} Estimated Unicode version
- */
-function getUnicodeVersion(codePoint) {
-  // Very simplified version estimation based on code point ranges
-  if (codePoint < 0x1F300) return "1.1 - 4.0";
-  if (codePoint < 0x1F600) return "6.0";
-  if (codePoint < 0x1F900) return "7.0 - 8.0";
-  if (codePoint < 0x1FA00) return "10.0 - 11.0";
-  return "12.0+";
-}
-
 // Run the main function
-main().catch(err => {
-  console.error('Unhandled error:', err);
-  process.exit(1);
-});
\ No newline at end of file
+cli.runCommand(command);
\ No newline at end of file
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Emoji Dictionary Linter
+ *
+ * This script checks emojiDictionary.js for entries that can't work in the
+ * translator. It is also available as `symbollify lint`.
+ *
+ * Errors:
+ * - Keys that are not emoji in the extraction, even with U+FE0F added
+ * - Empty word lists
+ *
+ * Warnings:
+ * - Keys that miss a U+FE0F selector of their fully-qualified form
+ * - Words with uppercase letters or punctuation, which the translator never
+ *   matches because it lowercases and strips the typed words
+ * - Words that appear twice in an entry
+ * - Placeholder words left by the fallback word generator
+ *
+ * Usage:
+ *   node lintEmojiDictionary.js [--dictionary PATH] [--strict]
+ *
+ * Exits with 1 when there are errors, or warnings with --strict.
+ */
+
+const fs = require('fs');
+const { DICTIONARY_PATH, loadDictionary } = require('./emojiDictionaryLoader');
+const { getAllEmoji } = require('./emojiExtractor');
+const { findFullyQualifiedEmoji } = require('./emojiData');
+const cli = require('./cli');
+
+// Command definition, shared with `symbollify lint`
+const command = {
+  name: 'lint',
+  description: "Check emojiDictionary.js for unknown emoji and words the translator can't match.",
+  options: {
+    dictionary: {
+      type: 'string',
+      valueName: 'PATH',
+      description: 'Dictionary file (default: emojiDictionary.js)'
+    },
+    strict: {
+      type: 'boolean',
+      description: 'Fail on warnings as well as errors'
+    }
+  },
+  examples: ['', '--strict'],
+  run: main
+};
+
+/**
+ * Check the dictionary entries
+ *
+ * @param {Object} dictionary - Object mapping emoji to their words
+ * @param {Array} allEmoji - Array of extracted emoji characters
+ * @returns {Array} Array of { level: 'error'|'warning', emoji, message }
+ */
+function lintDictionary(dictionary, allEmoji) {
+  const extracted = new Set(allEmoji);
+  const problems = [];
+  const report = (level, emoji, message) => problems.push({ level, emoji, message });
+
+  for (const [emoji, words] of Object.entries(dictionary)) {
+    if (!extracted.has(emoji)) {
+      const qualified = findFullyQualifiedEmoji(emoji);
+      if (qualified !== emoji && extracted.has(qualified)) {
+        report('warning', emoji, `Missing U+FE0F; the fully-qualified form is ${qualified}`);
+      } else {
+        report('error', emoji, 'Not an emoji in the extraction');
+      }
+    }
+
+    if (words.length === 0) {
+      report('error', emoji, 'Empty word list');
+      continue;
+    }
+
+    const seen = new Set();
+    for (const word of words) {
+      if (seen.has(word)) {
+        report('warning', emoji, `Duplicate word '${word}'`);
+      }
+      seen.add(word);
+
+      // Same cleaning as findEmojiForWord() in the translator
+      if (word !== word.toLowerCase().replace(/[^\w\s]|_/g, '')) {
+        report('warning', emoji, `'${word}' can't be matched; use lowercase words without punctuation`);
+      }
+
+      if (/^word\d+(_for_[0-9a-f-]+)?$/.test(word)) {
+        report('warning', emoji, `Placeholder word '${word}'`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Main function
+ *
+ * @param {Object} values - Option values from cli.parseCommandArgs()
+ */
+async function main(values) {
+  const dictionaryPath = values.dictionary || DICTIONARY_PATH;
+  if (!fs.existsSync(dictionaryPath)) {
+    console.error(`Error: Dictionary file not found at ${dictionaryPath}`);
+    return cli.EXIT_CODES.FAILURE;
+  }
+
+  const dictionary = loadDictionary(dictionaryPath);
+  const problems = lintDictionary(dictionary, getAllEmoji());
+
+  for (const { level, emoji, message } of problems) {
+    console.log(`${level.padEnd(7)}  ${emoji}  ${message}`);
+  }
+
+  const errors = problems.filter(problem => problem.level === 'error').length;
+  const warnings = problems.length - errors;
+  console.log(`\nChecked ${Object.keys(dictionary).length} entries: ${errors} errors, ${warnings} warnings`);
+
+  if (errors > 0 || (values.strict && warnings > 0)) {
+    return cli.EXIT_CODES.FAILURE;
+  }
+}
+
+// Run the main function
+if (require.main === module) {
+  cli.runCommand(command);
+}
+
+module.exports = {
+  command,
+  lintDictionary
+};
@@ -5,7 +5,9 @@
  * 
  * This script merges generated emoji word files from the 'generated_words' directory
  * into the main emojiDictionary.js file. It will add new emoji entries without
- * overwriting existing ones.
+ * overwriting existing ones. It reads both the versioned generated words files
+ * (see generatedWordsFile.js) and older files that map emoji straight to
+ * their words. It is also available as `symbollify merge`.
  * 
  * Usage:
  *   node mergeEmojiWords.js [--overwrite] [--category CATEGORY]
@@ -17,51 +19,64 @@
 
 const fs = require('fs');
 const path = require('path');
+const { DICTIONARY_PATH, parseDictionary } = require('./emojiDictionaryLoader');
+const cli = require('./cli');
+const { loadConfig } = require('./config');
+const { isVersioned, getWordLists } = require('./generatedWordsFile');
 
-// Configuration
+// Configuration, from symbollify.config.json and the environment (see config.js)
 const CONFIG = {
-  DICTIONARY_PATH: path.join(__dirname, 'emojiDictionary.js'),
-  GENERATED_DIR: path.join(__dirname, 'generated_words'),
-  BACKUP_PATH: path.join(__dirname, 'emojiDictionary.backup.js'),
+  DICTIONARY_PATH: DICTIONARY_PATH,
+  GENERATED_DIR: loadConfig().generatedDir,
+  BACKUP_PATH: DICTIONARY_PATH.replace(/(\.js)?$/, '.backup.js'),
   DEFAULT_CATEGORY: 'Generated Emoji',
 };
 
-// Parse command line arguments
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = {
-    overwrite: false,
-    category: CONFIG.DEFAULT_CATEGORY,
-  };
-
-  for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--overwrite') {
-      options.overwrite = true;
-    } else if (args[i] === '--category' && i + 1 < args.length) {
-      options.category = args[++i];
+// Placeholder words that older versions of the generator wrote when Claude failed
+const PLACEHOLDER_WORD = /^word\d+(_for_[0-9a-f-]+)?$/;
+
+// Command definition, shared with `symbollify merge`
+const command = {
+  name: 'merge',
+  description: 'Merge the generated word files into emojiDictionary.js.',
+  options: {
+    overwrite: {
+      type: 'boolean',
+      description: 'Overwrite existing emoji entries if they exist'
+    },
+    category: {
+      type: 'string',
+      valueName: 'CATEGORY',
+      default: CONFIG.DEFAULT_CATEGORY,
+      description: 'Add new emoji under this category'
     }
-  }
-
-  return options;
-}
+  },
+  examples: ['', '--overwrite', '--category "Food & Drink"'],
+  run: main
+};
 
 /**
  * Main function
+ *
+ * @param {Object} values - Option values from cli.parseCommandArgs()
  */
-async function main() {
+async function main(values) {
   try {
-    const options = parseArgs();
+    const options = {
+      overwrite: Boolean(values.overwrite),
+      category: values.category,
+    };
     console.log('Options:', options);
 
     // Make sure required paths exist
     if (!fs.existsSync(CONFIG.DICTIONARY_PATH)) {
       console.error(`Error: Dictionary file not found at ${CONFIG.DICTIONARY_PATH}`);
-      process.exit(1);
+      return cli.EXIT_CODES.FAILURE;
     }
 
     if (!fs.existsSync(CONFIG.GENERATED_DIR)) {
       console.error(`Error: Generated words directory not found at ${CONFIG.GENERATED_DIR}`);
-      process.exit(1);
+      return cli.EXIT_CODES.FAILURE;
     }
 
     // Create a backup of the original dictionary
@@ -92,11 +107,27 @@ async function main() {
       console.log(`Processing ${path.basename(filePath)}...`);
       
       try {
-        const generatedWords = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const generatedWords = getWordLists(data);
         const emojiKeys = Object.keys(generatedWords);
+
+        if (isVersioned(data)) {
+          if (data.provider) {
+            console.log(`  Generated by ${data.provider}${data.model ? ` (${data.model})` : ''} on ${data.createdAt}`);
+          }
+          const fallbackEmoji = emojiKeys.filter(emoji => data.emoji[emoji].fallback);
+          if (fallbackEmoji.length > 0) {
+            console.warn(`  Fallback words, not from a model, for: ${fallbackEmoji.join(' ')}`);
+          }
+        }
         
         for (const emoji of emojiKeys) {
-          const words = generatedWords[emoji];
+          let words = generatedWords[emoji];
+
+          if (Array.isArray(words) && words.some(word => PLACEHOLDER_WORD.test(word))) {
+            words = words.filter(word => !PLACEHOLDER_WORD.test(word));
+            console.warn(`Dropped placeholder words for ${emoji}; run generateEmojiWords.js again for it`);
+          }
           
           if (!Array.isArray(words) || words.length === 0) {
             console.warn(`Skipping emoji ${emoji}: Invalid or empty word list`);
@@ -144,57 +175,10 @@ async function main() {
 
   } catch (error) {
     console.error('Error:', error.message);
-    process.exit(1);
+    return cli.EXIT_CODES.FAILURE;
   }
 }
 
-/**
- * Parse the emoji dictionary from the file content
- */
-function parseDictionary(fileContent) {
-  // Extract just the dictionary object from the file
-  const dictionaryMatch = fileContent.match(/const\s+emojiDictionary\s*=\s*{[\s\S]*?};/);
-  
-  if (!dictionaryMatch) {
-    throw new Error('Could not find emoji dictionary object in file');
-  }
-  
-  // Extract the dictionary content
-  let dictionaryCode = dictionaryMatch[0];
-  
-  // Remove the const declaration part
-  dictionaryCode = dictionaryCode.replace(/const\s+emojiDictionary\s*=\s*/, '');
-  // Remove the trailing semicolon
-  dictionaryCode = dictionaryCode.replace(/};$/, '}');
-
-  // Parse the dictionary using a safer approach than eval
-  const dictionary = {};
-  
-  // Use regex to extract each emoji and its array
-  const emojiEntryPattern = /'([^']+)':\s*\[([\s\S]*?)(?=\],\s*'|},)/g;
-  let match;
-  
-  while ((match = emojiEntryPattern.exec(dictionaryCode + "},")) !== null) {
-    const emoji = match[1];
-    const wordsStr = match[2];
-    
-    // Parse the words array
-    const words = wordsStr
-      .split(',')
-      .map(word => word.trim())
-      .filter(word => word.length > 0)
-      .map(word => {
-        // Extract the string content from quotes
-        const wordMatch = word.match(/^'([^']*)'$/);
-        return wordMatch ? wordMatch[1] : word;
-      });
-    
-    dictionary[emoji] = words;
-  }
-  
-  return dictionary;
-}
-
 /**
  * Generate new dictionary file content
  */
@@ -237,7 +221,8 @@ function generateDictionaryContent(dictionary, originalContent, category) {
 }
 
 // Run the main function
-main().catch(err => {
-  console.error('Unhandled error:', err);
-  process.exit(1);
-});
\ No newline at end of file
+if (require.main === module) {
+  cli.runCommand(command);
+}
+
+module.exports = { command };
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+ * Prompt Templates
+ *
+ * generateEmojiWords.js builds its prompts from a template file
+ * (prompts/words.txt by default) with placeholders:
+ *
+ *   {{minWords}}, {{maxWords}}, {{maxPhraseWords}}  Word limits
+ *   {{locale}}, {{language}}                        Locale code and language name
+ *   {{responseFormat}}                              The JSON object to answer with
+ *   {{#emoji}} ... {{/emoji}}                       Repeated for each emoji, with
+ *     {{emoji}}, {{name}}, {{category}}, {{subcategory}} and {{keywords}}
+ *   {{#examples}} ... {{/examples}}                 Repeated for each few-shot
+ *     example, with {{emoji}}, {{name}} and {{words}}
+ *   {{#hasExamples}} ... {{/hasExamples}}           Only when there are examples
+ *
+ * Each locale has a template of its own (see wordLocales.js).
+ *
+ * Examples are entries of emojiDictionary.js from the same category as the
+ * emoji in the prompt, so new words follow the style of the dictionary.
+ */
+
+const fs = require('fs');
+const { findEmojiTestEntry, findFullyQualifiedEmoji } = require('./emojiData');
+
+/**
+ * Fill in a template
+ *
+ * A section {{#name}} ... {{/name}} is repeated for each item when the value
+ * is an array, with the item's properties as placeholders, rendered once when
+ * the value is any other true value, and left out otherwise. Unknown
+ * placeholders become empty.
+ *
+ * @param {String} template - Template text
+ * @param {Object} view - Placeholder values
+ * @returns {String} The filled-in text
+ */
+function renderTemplate(template, view) {
+  const withSections = template.replace(
+    /\{\{#(\w+)\}\}\n?([\s\S]*?)\{\{\/\1\}\}\n?/g,
+    (match, name, body) => {
+      const value = view[name];
+      if (Array.isArray(value)) {
+        return value.map(item => renderTemplate(body, { ...view, ...item })).join('');
+      }
+      return value ? renderTemplate(body, view) : '';
+    }
+  );
+
+  return withSections.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    const value = view[name];
+    if (value === undefined || value === null) return '';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+/**
+ * Load a template file
+ *
+ * @param {String} filePath - Path to the template
+ * @returns {String} Template text
+ * @throws {Error} When the file can't be read
+ */
+function loadTemplate(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Prompt template not found at ${filePath}`);
+  }
+
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+/**
+ * Pick few-shot examples from the dictionary for a batch of emoji
+ *
+ * Entries from the same subcategory come first, then the same category. Only
+ * entries that the validator would keep as they are qualify, and they are
+ * spread over the candidates so the examples aren't all neighbours.
+ *
+ * @param {Object} dictionary - Object mapping emoji to their words
+ * @param {Array} descriptions - The emoji of the prompt, with group and subgroup
+ * @param {Number} count - Maximum number of examples
+ * @param {Function} isClean - Returns true for a word list that needs no fixing
+ * @returns {Array} Array of { emoji, name, words }
+ */
+function selectExamples(dictionary, descriptions, count, isClean) {
+  const batchEmoji = new Set(descriptions.map(description => description.emoji));
+  const groups = new Set(descriptions.map(description => description.group).filter(Boolean));
+  const subgroups = new Set(descriptions.map(description => description.subgroup).filter(Boolean));
+  const sameSubgroup = [];
+  const sameGroup = [];
+
+  for (const [emoji, words] of Object.entries(dictionary)) {
+    if (batchEmoji.has(emoji) || !isClean(words)) continue;
+
+    const entry = findEmojiTestEntry(findFullyQualifiedEmoji(emoji) || emoji);
+    if (!entry) continue;
+
+    const example = { emoji, name: entry.name, words };
+    if (subgroups.has(entry.subgroup)) {
+      sameSubgroup.push(example);
+    } else if (groups.has(entry.group)) {
+      sameGroup.push(example);
+    }
+  }
+
+  // Take evenly spaced candidates, so the choice is the same on every run
+  const spread = (candidates, limit) => {
+    if (candidates.length <= limit) return candidates;
+    return Array.from({ length: limit }, (_, i) => candidates[Math.floor(i * candidates.length / limit)]);
+  };
+
+  const examples = spread(sameSubgroup, count);
+  return examples.concat(spread(sameGroup, count - examples.length));
+}
+
+module.exports = {
+  renderTemplate,
+  loadTemplate,
+  selectExamples
+};
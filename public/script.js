@@ -2,24 +2,57 @@ document.addEventListener('DOMContentLoaded', function () {
   // Select elements
   const textInput = document.getElementById('textInput');
   const emojiOutput = document.getElementById('emojiOutput');
+  const shortcodePlatform = document.getElementById('shortcodePlatform');
+  const shortcodeOutput = document.getElementById('shortcodeOutput');
 
-  // Import the emoji dictionary
-  import('./emojiDictionary.js')
-    .then(module => {
+  // Import the emoji dictionary, and the shortcodes and renderable flags when
+  // they have been imported
+  Promise.all([
+    import('./emojiDictionary.js'),
+    import('./emojiShortcodes.js').catch(() => ({ default: {} })),
+    fetch('./allEmoji.json').then(response => (response.ok ? response.json() : [])).catch(() => [])
+  ])
+    .then(([module, shortcodesModule, allEmoji]) => {
       const emojiDictionary = module.default;
-      
+      const emojiShortcodes = shortcodesModule.default;
+
+      // Emoji that checkFontCoverage.js marked as not renderable, ignoring U+FE0F
+      const unrenderable = new Set(allEmoji
+        .filter(item => typeof item === 'object' && item.renderable === false)
+        .map(item => item.emoji.replace(/\uFE0F/g, '')));
+
+      // Shared with translateToEmoji.js, loaded from the project root by index.html
+      const {
+        withEmojiPresentation,
+        buildShortcodeIndex,
+        findEmojiForShortcode,
+        toShortcodeText,
+        getPlatforms
+      } = window.emojiText;
+
+      // Lookup from lowercase shortcode to emoji, over all platforms
+      const shortcodeIndex = buildShortcodeIndex(emojiShortcodes);
+
       // Function to find matching emoji for a word
       function findEmojiForWord(word) {
+        // Shortcodes like :dog: or :+1:
+        const shortcodeEmoji = findEmojiForShortcode(word, shortcodeIndex);
+        if (shortcodeEmoji) {
+          return withEmojiPresentation(shortcodeEmoji);
+        }
+
         // Convert word to lowercase and clean it
         const cleanWord = word.toLowerCase().replace(/[^\w\s]|_/g, '');
         
         // If the word is empty, return the original
         if (!cleanWord) return word;
         
-        // Search through the multi-dimensional dictionary
+        // Search through the multi-dimensional dictionary, skipping emoji the
+        // fonts can't draw
         for (const [emoji, wordList] of Object.entries(emojiDictionary)) {
+          if (unrenderable.has(emoji.replace(/\uFE0F/g, ''))) continue;
           if (wordList.includes(cleanWord)) {
-            return emoji;
+            return withEmojiPresentation(emoji);
           }
         }
         
@@ -40,13 +73,26 @@ document.addEventListener('DOMContentLoaded', function () {
         // Join and return the transformed text
         return transformedWords.join(' ');
       }
-    
-      // Event listener for input changes
-      textInput.addEventListener('input', function () {
-        const inputText = textInput.value;
-        const transformedText = transformTextToEmoji(inputText);
+
+      // Fill the platform list; hide the export when there are no shortcodes
+      const platforms = getPlatforms(emojiShortcodes);
+      for (const platform of platforms) {
+        shortcodePlatform.add(new Option(platform, platform));
+      }
+      shortcodeOutput.parentElement.hidden = platforms.length === 0;
+
+      // Update both outputs from the input
+      function update() {
+        const transformedText = transformTextToEmoji(textInput.value);
         emojiOutput.textContent = transformedText;
-      });
+        shortcodeOutput.textContent = shortcodePlatform.value
+          ? toShortcodeText(transformedText, emojiShortcodes, shortcodePlatform.value)
+          : '';
+      }
+    
+      // Event listeners for input and platform changes
+      textInput.addEventListener('input', update);
+      shortcodePlatform.addEventListener('change', update);
     })
     .catch(error => {
       console.error('Error loading emoji dictionary:', error);
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Emoji App Server
+ *
+ * This script serves the web page in public/ together with emojiDictionary.js,
+ * emojiShortcodes.js and emojiText.js, which the page loads from the project
+ * root, and allEmoji.json, whose renderable flags tell the page which emoji to
+ * skip. It
+ * is also available as `symbollify serve`.
+ *
+ * Usage:
+ *   node serveEmojiApp.js [--port PORT] [--host HOST]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { DICTIONARY_PATH } = require('./emojiDictionaryLoader');
+const { SHORTCODES_PATH } = require('./emojiShortcodesLoader');
+const { loadConfig } = require('./config');
+const cli = require('./cli');
+
+// Configuration
+const CONFIG = {
+  PUBLIC_DIR: path.join(__dirname, 'public'),
+  EMOJI_JSON_PATH: loadConfig().emojiPath,
+  EMOJI_TEXT_PATH: path.join(__dirname, 'emojiText.js'),
+  DEFAULT_PORT: '8080',
+  DEFAULT_HOST: 'localhost',
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+};
+
+// Command definition, shared with `symbollify serve`
+const command = {
+  name: 'serve',
+  description: 'Serve the text to emoji web page on a local HTTP server.',
+  options: {
+    port: {
+      type: 'string',
+      short: 'p',
+      valueName: 'PORT',
+      default: CONFIG.DEFAULT_PORT,
+      description: 'Port to listen on'
+    },
+    host: {
+      type: 'string',
+      valueName: 'HOST',
+      default: CONFIG.DEFAULT_HOST,
+      description: 'Host to listen on; use 0.0.0.0 to allow other machines'
+    }
+  },
+  examples: ['', '--port 3000'],
+  run: main
+};
+
+/**
+ * Map a request path to a file
+ *
+ * /emojiDictionary.js, /emojiShortcodes.js, /emojiText.js and /allEmoji.json
+ * come from the project root and everything else from public/. Paths outside public/ are refused.
+ *
+ * @param {String} urlPath - Path of the request URL
+ * @returns {String|null} File path, or null when the path is not allowed
+ */
+function resolveFile(urlPath) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(urlPath.split('?')[0]);
+  } catch (error) {
+    return null;
+  }
+
+  if (pathname === '/emojiDictionary.js') {
+    return DICTIONARY_PATH;
+  }
+  if (pathname === '/emojiShortcodes.js') {
+    return SHORTCODES_PATH;
+  }
+  if (pathname === '/emojiText.js') {
+    return CONFIG.EMOJI_TEXT_PATH;
+  }
+  if (pathname === '/allEmoji.json') {
+    return CONFIG.EMOJI_JSON_PATH;
+  }
+
+  const filePath = path.join(CONFIG.PUBLIC_DIR, pathname === '/' ? 'index.html' : pathname);
+  return filePath.startsWith(CONFIG.PUBLIC_DIR + path.sep) ? filePath : null;
+}
+
+/**
+ * Handle a request by sending the file it asks for
+ */
+function handleRequest(request, response) {
+  const filePath = resolveFile(request.url);
+
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    response.writeHead(405, { 'Content-Type': 'text/plain' });
+    response.end('Method not allowed');
+  } else if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    response.writeHead(404, { 'Content-Type': 'text/plain' });
+    response.end('Not found');
+  } else {
+    response.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      'Cache-Control': 'no-cache',
+    });
+    if (request.method === 'HEAD') {
+      response.end();
+    } else {
+      fs.createReadStream(filePath).pipe(response);
+    }
+  }
+
+  console.log(`${request.method} ${request.url} ${response.statusCode}`);
+}
+
+/**
+ * Main function
+ *
+ * Resolves once the server is listening; the server keeps running until the
+ * process is stopped.
+ *
+ * @param {Object} values - Option values from cli.parseCommandArgs()
+ */
+async function main(values) {
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new cli.UsageError(`Invalid port: ${values.port}`);
+  }
+
+  const server = http.createServer(handleRequest);
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, values.host, resolve);
+  });
+
+  const { port: actualPort } = server.address();
+  console.log(`Serving ${CONFIG.PUBLIC_DIR} at http://${values.host}:${actualPort}/`);
+  console.log('Press Ctrl+C to stop.');
+}
+
+// Run the main function
+if (require.main === module) {
+  cli.runCommand(command);
+}
+
+module.exports = { command };
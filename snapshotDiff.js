@@ -0,0 +1,189 @@
+/**
+ * Emoji Snapshot Diff
+ *
+ * This module compares two emoji extractions, such as allEmoji.json before
+ * and after a Node/ICU or data upgrade, and finds the dictionary entries and
+ * generated_words files affected by the changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getWordLists } = require('./generatedWordsFile');
+
+// Record fields compared between snapshots, when both snapshots have them
+const COMPARED_FIELDS = {
+  category: ['category', 'subcategory'],
+  version: ['emojiVersion', 'unicodeVersion']
+};
+
+/**
+ * Key used to match the same emoji across snapshots, dictionary entries and
+ * generated_words files, ignoring U+FE0F emoji presentation selectors
+ */
+function toMatchKey(emoji) {
+  return emoji.replace(/\uFE0F/g, '');
+}
+
+/**
+ * Load an extraction written by index.js or emojiToJson.js
+ *
+ * Both JSON (minimal, simple or full format) and NDJSON files are read. Plain
+ * emoji strings become records with only an emoji field.
+ *
+ * @param {String} filePath - Path to the snapshot
+ * @returns {Map} Map from emoji to its record
+ */
+function loadSnapshot(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const items = filePath.endsWith('.ndjson')
+    ? content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+    : JSON.parse(content);
+
+  if (!Array.isArray(items)) {
+    throw new Error(`${filePath} does not contain an array of emoji`);
+  }
+
+  const snapshot = new Map();
+  for (const item of items) {
+    const record = typeof item === 'string' ? { emoji: item } : item;
+    snapshot.set(record.emoji, record);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Compare the fields of two records
+ *
+ * @returns {Object|null} Object with the old and new values of the fields, or
+ *   null when the fields are equal or missing from either record
+ */
+function compareFields(oldRecord, newRecord, fields) {
+  if (!fields.every(field => field in oldRecord && field in newRecord)) {
+    return null;
+  }
+
+  const changed = fields.some(field => oldRecord[field] !== newRecord[field]);
+  if (!changed) return null;
+
+  const from = {};
+  const to = {};
+  for (const field of fields) {
+    from[field] = oldRecord[field];
+    to[field] = newRecord[field];
+  }
+  return { emoji: newRecord.emoji, from, to };
+}
+
+/**
+ * Compare two snapshots
+ *
+ * An emoji that only gained or lost U+FE0F selectors, like ☺ becoming ☺️, is
+ * reported as requalified instead of as removed and added.
+ *
+ * @param {Map} oldSnapshot - Result of loadSnapshot() for the old extraction
+ * @param {Map} newSnapshot - Result of loadSnapshot() for the new extraction
+ * @returns {Object} Object with added, removed, requalified, categoryChanges
+ *   and versionChanges
+ */
+function diffSnapshots(oldSnapshot, newSnapshot) {
+  let added = [...newSnapshot.keys()].filter(emoji => !oldSnapshot.has(emoji));
+  let removed = [...oldSnapshot.keys()].filter(emoji => !newSnapshot.has(emoji));
+
+  // Pair up emoji that only differ in their selectors
+  const addedByKey = new Map(added.map(emoji => [toMatchKey(emoji), emoji]));
+  const requalified = [];
+  for (const emoji of removed) {
+    const match = addedByKey.get(toMatchKey(emoji));
+    if (match) {
+      requalified.push({ from: emoji, to: match });
+      addedByKey.delete(toMatchKey(emoji));
+    }
+  }
+  added = added.filter(emoji => !requalified.some(pair => pair.to === emoji));
+  removed = removed.filter(emoji => !requalified.some(pair => pair.from === emoji));
+
+  // Compare the records of emoji in both snapshots
+  const categoryChanges = [];
+  const versionChanges = [];
+  const pairs = [
+    ...[...newSnapshot.keys()].filter(emoji => oldSnapshot.has(emoji)).map(emoji => [emoji, emoji]),
+    ...requalified.map(pair => [pair.from, pair.to])
+  ];
+
+  for (const [oldEmoji, newEmoji] of pairs) {
+    const oldRecord = oldSnapshot.get(oldEmoji);
+    const newRecord = newSnapshot.get(newEmoji);
+
+    const categoryChange = compareFields(oldRecord, newRecord, COMPARED_FIELDS.category);
+    if (categoryChange) categoryChanges.push(categoryChange);
+
+    const versionChange = compareFields(oldRecord, newRecord, COMPARED_FIELDS.version);
+    if (versionChange) versionChanges.push(versionChange);
+  }
+
+  return { added, removed, requalified, categoryChanges, versionChanges };
+}
+
+/**
+ * Read the emoji keys of every generated_words file
+ *
+ * @param {String} generatedDir - Path to the generated_words directory
+ * @returns {Object} Object mapping each file name to a Set of match keys
+ */
+function loadGeneratedWordKeys(generatedDir) {
+  const files = {};
+  if (!fs.existsSync(generatedDir)) return files;
+
+  for (const file of fs.readdirSync(generatedDir).filter(name => name.endsWith('.json')).sort()) {
+    try {
+      const words = getWordLists(JSON.parse(fs.readFileSync(path.join(generatedDir, file), 'utf8')));
+      files[file] = new Set(Object.keys(words).map(toMatchKey));
+    } catch (error) {
+      console.error(`Error reading ${file}: ${error.message}`);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Find the dictionary entries and generated_words files that contain each
+ * changed emoji
+ *
+ * @param {Object} diff - Result of diffSnapshots()
+ * @param {Object} dictionary - Object mapping emoji to their words
+ * @param {String} generatedDir - Path to the generated_words directory
+ * @returns {Array} Array of { emoji, change, dictionaryEntry, generatedFiles },
+ *   only for emoji that appear in the dictionary or in a generated file
+ */
+function findAffected(diff, dictionary, generatedDir) {
+  const dictionaryByKey = new Map(Object.keys(dictionary).map(emoji => [toMatchKey(emoji), emoji]));
+  const generatedFiles = loadGeneratedWordKeys(generatedDir);
+
+  const changes = [
+    ...diff.removed.map(emoji => ({ emoji, change: 'removed' })),
+    ...diff.added.map(emoji => ({ emoji, change: 'added' })),
+    ...diff.requalified.map(pair => ({ emoji: pair.to, change: `requalified from ${pair.from}` })),
+    ...diff.categoryChanges.map(({ emoji }) => ({ emoji, change: 'category' })),
+    ...diff.versionChanges.map(({ emoji }) => ({ emoji, change: 'version' }))
+  ];
+
+  return changes
+    .map(({ emoji, change }) => {
+      const key = toMatchKey(emoji);
+      return {
+        emoji,
+        change,
+        dictionaryEntry: dictionaryByKey.get(key) || null,
+        generatedFiles: Object.keys(generatedFiles).filter(file => generatedFiles[file].has(key))
+      };
+    })
+    .filter(item => item.dictionaryEntry !== null || item.generatedFiles.length > 0);
+}
+
+module.exports = {
+  loadSnapshot,
+  diffSnapshots,
+  findAffected
+};
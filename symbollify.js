@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Symbollify CLI
+ *
+ * One entry point for the project's commands:
+ *
+ *   symbollify extract             Extract emoji to JSON, CSV, TSV or NDJSON (emojiToJson.js)
+ *   symbollify generate            Generate words for the next batch of emoji (generateEmojiWords.js)
+ *   symbollify merge               Merge generated words into the dictionary (mergeEmojiWords.js)
+ *   symbollify lint                Check the dictionary (lintEmojiDictionary.js)
+ *   symbollify translate           Translate text to emoji (translateToEmoji.js)
+ *   symbollify serve               Serve the web page (serveEmojiApp.js)
+ *   symbollify check-font          Mark the emoji a font can draw (checkFontCoverage.js)
+ *   symbollify import-cldr         Import CLDR names and keywords (importCldrAnnotations.js)
+ *   symbollify import-shortcodes   Import platform shortcodes (importShortcodes.js)
+ *   symbollify update-unicode-data Download the Unicode data files (updateUnicodeData.js)
+ *
+ * Run `symbollify <command> --help` for the options of a command.
+ *
+ * Exit codes: 0 on success, 1 when the command fails, 2 for invalid usage and
+ * 130 when `generate` is interrupted.
+ */
+
+const cli = require('./cli');
+
+// Modules of the commands, loaded only when the command runs
+const COMMANDS = {
+  extract: './emojiToJson',
+  generate: './generateEmojiWords',
+  merge: './mergeEmojiWords',
+  lint: './lintEmojiDictionary',
+  translate: './translateToEmoji',
+  serve: './serveEmojiApp',
+  'check-font': './checkFontCoverage',
+  'import-cldr': './importCldrAnnotations',
+  'import-shortcodes': './importShortcodes',
+  'update-unicode-data': './updateUnicodeData',
+};
+
+/**
+ * Show the list of commands
+ */
+function showHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length)) + 2;
+  const rows = Object.entries(COMMANDS).map(([name, modulePath]) => {
+    const { description } = require(modulePath).command;
+    return `  ${name.padEnd(width)}${description.split('\n')[0]}`;
+  });
+
+  console.log(`
+Symbollify - build and use the emoji dictionary
+
+Usage:
+  symbollify <command> [options]
+
+Commands:
+${rows.join('\n')}
+
+Run 'symbollify <command> --help' for the options of a command.
+  `);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const [name, ...args] = process.argv.slice(2);
+
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    showHelp();
+    return;
+  }
+
+  if (!(name in COMMANDS)) {
+    console.error(`Error: Unknown command '${name}'`);
+    console.error("Run 'symbollify --help' for the list of commands.");
+    process.exitCode = cli.EXIT_CODES.USAGE;
+    return;
+  }
+
+  // Loading a command reads the project configuration, which may be invalid
+  let command;
+  try {
+    ({ command } = require(COMMANDS[name]));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = cli.EXIT_CODES.FAILURE;
+    return;
+  }
+
+  await cli.runCommand(command, args, `symbollify ${name}`);
+}
+
+// Run the main function
+main().catch(err => {
+  console.error('Unhandled error:', err);
+  process.exitCode = cli.EXIT_CODES.FAILURE;
+});
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Text to Emoji Translator
+ *
+ * This script replaces the words of a text with emoji from the dictionary,
+ * the same way the web page in public/ does, with the functions they share
+ * in emojiText.js. Shortcodes such as :dog: are
+ * replaced with their emoji too, once importShortcodes.js has written
+ * emojiShortcodes.js. It is also available as `symbollify translate`.
+ *
+ * Usage:
+ *   node translateToEmoji.js [--dictionary PATH] [--renderable-only]
+ *                            [--shortcodes PLATFORM] [TEXT...]
+ *
+ * Options:
+ *   --dictionary       Dictionary file (default: emojiDictionary.js)
+ *   --renderable-only  Skip emoji marked as not renderable by checkFontCoverage.js
+ *   --shortcodes       Write the emoji of the result as this platform's
+ *                      shortcodes (github, slack, ...)
+ *
+ * Without TEXT, the text is read from standard input.
+ */
+
+const fs = require('fs');
+const { DICTIONARY_PATH, loadDictionary } = require('./emojiDictionaryLoader');
+const { loadShortcodes } = require('./emojiShortcodesLoader');
+const {
+  withEmojiPresentation,
+  buildShortcodeIndex,
+  findEmojiForShortcode,
+  toShortcodeText,
+  getPlatforms
+} = require('./emojiText');
+const { loadConfig } = require('./config');
+const cli = require('./cli');
+
+// Command definition, shared with `symbollify translate`
+const command = {
+  name: 'translate',
+  description: 'Replace the words of a text with emoji from the dictionary.\n' +
+    'Without TEXT, the text is read from standard input.',
+  arguments: '[TEXT...]',
+  options: {
+    dictionary: {
+      type: 'string',
+      valueName: 'PATH',
+      description: 'Dictionary file (default: emojiDictionary.js)'
+    },
+    'renderable-only': {
+      type: 'boolean',
+      description: "Skip emoji that our fonts can't draw, as marked in\nallEmoji.json by `symbollify check-font`"
+    },
+    shortcodes: {
+      type: 'string',
+      valueName: 'PLATFORM',
+      description: "Write the emoji of the result as this platform's\nshortcodes (github, slack, ...)"
+    }
+  },
+  examples: [
+    '"I love my dog"',
+    '"I :heart: my :dog:"',
+    '--shortcodes slack "I love my dog"',
+    '--renderable-only "I love my dog"',
+    '< story.txt'
+  ],
+  run: main
+};
+
+/**
+ * Key used to match dictionary emoji with allEmoji.json records, which may
+ * differ in their U+FE0F selectors
+ */
+function toMatchKey(emoji) {
+  return emoji.replace(/\uFE0F/g, '');
+}
+
+/**
+ * Load the emoji that checkFontCoverage.js marked as not renderable
+ *
+ * @param {String} emojiPath - Path to allEmoji.json
+ * @returns {Set|null} Set of match keys, or null when the records have no
+ *   renderable flags
+ */
+function loadUnrenderableEmoji(emojiPath) {
+  if (!fs.existsSync(emojiPath)) return null;
+
+  const records = JSON.parse(fs.readFileSync(emojiPath, 'utf8'))
+    .filter(item => typeof item === 'object' && 'renderable' in item);
+  if (records.length === 0) return null;
+
+  return new Set(records.filter(item => !item.renderable).map(item => toMatchKey(item.emoji)));
+}
+
+/**
+ * Build a lookup from each word to the first dictionary emoji that has it
+ *
+ * @param {Object} dictionary - Object mapping emoji to their words
+ * @param {Set} skipEmoji - Match keys of emoji to leave out (default: none)
+ * @returns {Map} Map from word to emoji
+ */
+function buildWordIndex(dictionary, skipEmoji = new Set()) {
+  const index = new Map();
+
+  for (const [emoji, wordList] of Object.entries(dictionary)) {
+    if (skipEmoji.has(toMatchKey(emoji))) continue;
+
+    for (const word of wordList) {
+      if (!index.has(word)) {
+        index.set(word, emoji);
+      }
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Find the matching emoji for a word
+ *
+ * @param {String} word - Word from the text
+ * @param {Map} wordIndex - Result of buildWordIndex()
+ * @returns {String} The emoji, or the original word when there is no match
+ */
+function findEmojiForWord(word, wordIndex) {
+  // Convert word to lowercase and clean it
+  const cleanWord = word.toLowerCase().replace(/[^\w\s]|_/g, '');
+
+  // If the word is empty, return the original
+  if (!cleanWord) return word;
+
+  const emoji = wordIndex.get(cleanWord);
+  return emoji ? withEmojiPresentation(emoji) : word;
+}
+
+/**
+ * Transform text to emoji, word by word
+ *
+ * @param {String} text - Text to transform
+ * @param {Object} dictionary - Object mapping emoji to their words
+ * @param {Set} skipEmoji - Match keys of emoji not to use (default: none)
+ * @param {Map} shortcodeIndex - Result of buildShortcodeIndex(), to replace
+ *   :shortcodes: (default: none)
+ * @returns {String} Transformed text
+ */
+function transformTextToEmoji(text, dictionary, skipEmoji, shortcodeIndex = new Map()) {
+  if (!text) return '';
+
+  const wordIndex = buildWordIndex(dictionary, skipEmoji);
+
+  return text
+    .split(/\s+/)
+    .map(word => {
+      const emoji = findEmojiForShortcode(word, shortcodeIndex);
+      return emoji ? withEmojiPresentation(emoji) : findEmojiForWord(word, wordIndex);
+    })
+    .join(' ');
+}
+
+/**
+ * Read all of standard input
+ */
+async function readStdin() {
+  let input = '';
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+  return input;
+}
+
+/**
+ * Main function
+ *
+ * @param {Object} values - Option values from cli.parseCommandArgs()
+ * @param {Array} positionals - Words of the text to translate
+ */
+async function main(values, positionals) {
+  const dictionaryPath = values.dictionary || DICTIONARY_PATH;
+  if (!fs.existsSync(dictionaryPath)) {
+    console.error(`Error: Dictionary file not found at ${dictionaryPath}`);
+    return cli.EXIT_CODES.FAILURE;
+  }
+
+  let skipEmoji;
+  if (values['renderable-only']) {
+    skipEmoji = loadUnrenderableEmoji(loadConfig().emojiPath);
+    if (!skipEmoji) {
+      console.error('Error: allEmoji.json has no renderable flags. Run `symbollify check-font --font PATH` first.');
+      return cli.EXIT_CODES.FAILURE;
+    }
+  }
+
+  const shortcodes = loadShortcodes();
+  if (values.shortcodes && !getPlatforms(shortcodes).includes(values.shortcodes)) {
+    const platforms = getPlatforms(shortcodes);
+    throw new cli.UsageError(platforms.length > 0
+      ? `Unknown shortcode platform '${values.shortcodes}'; choose from ${platforms.join(', ')}`
+      : 'No shortcodes imported. Run importShortcodes.js first.');
+  }
+
+  const text = positionals.length > 0 ? positionals.join(' ') : await readStdin();
+  const result = transformTextToEmoji(
+    text.trim(),
+    loadDictionary(dictionaryPath),
+    skipEmoji,
+    buildShortcodeIndex(shortcodes)
+  );
+  console.log(values.shortcodes ? toShortcodeText(result, shortcodes, values.shortcodes) : result);
+}
+
+// Run the main function
+if (require.main === module) {
+  cli.runCommand(command);
+}
+
+module.exports = {
+  command,
+  loadUnrenderableEmoji,
+  buildWordIndex,
+  findEmojiForWord,
+  transformTextToEmoji
+};
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Unicode Data Updater
+ *
+ * This script downloads the Unicode data files in data/ from unicode.org and
+ * stores them byte for byte, copyright and terms of use notice included. It
+ * records the URL, version, SHA-256 hash and download time of each file in
+ * data/sources.json. It is also available as `symbollify update-unicode-data`.
+ *
+ * Usage:
+ *   node updateUnicodeData.js [--unicode-version VERSION]
+ *
+ * Options:
+ *   --unicode-version  Unicode version to download (default: the version in
+ *                      data/sources.json)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const cli = require('./cli');
+const { DATA_DIR } = require('./emojiData');
+
+// Configuration
+const CONFIG = {
+  SOURCES_PATH: path.join(DATA_DIR, 'sources.json'),
+  TIMEOUT: 60000,
+};
+
+// Command definition
+const command = {
+  name: 'update-unicode-data',
+  description: 'Download the Unicode data files in data/ from unicode.org.',
+  options: {
+    'unicode-version': {
+      type: 'string',
+      valueName: 'VERSION',
+      description: 'Unicode version to download, such as 16.0.0 (default: the\nversion in data/sources.json)'
+    }
+  },
+  examples: ['', '--unicode-version 16.0.0'],
+  run: main
+};
+
+/**
+ * Main function
+ *
+ * @param {Object} values - Option values from cli.parseCommandArgs()
+ */
+async function main(values) {
+  const sources = JSON.parse(fs.readFileSync(CONFIG.SOURCES_PATH, 'utf8'));
+  const version = values['unicode-version'] || sources.unicodeVersion;
+
+  if (!/^\d+\.\d+\.\d+$/.test(version)) {
+    throw new cli.UsageError(`Invalid Unicode version: ${version}. Expected a version such as 16.0.0`);
+  }
+
+  // Download everything first, so a failure leaves the data files alone
+  const downloads = [];
+  for (const [fileName, url] of Object.entries(getSourceUrls(version))) {
+    console.log(`Downloading ${url}...`);
+    try {
+      downloads.push({ fileName, url, content: await download(url) });
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      return cli.EXIT_CODES.FAILURE;
+    }
+  }
+
+  const files = {};
+  for (const { fileName, url, content } of downloads) {
+    fs.writeFileSync(path.join(DATA_DIR, fileName), content);
+    files[fileName] = {
+      url,
+      sha256: crypto.createHash('sha256').update(content).digest('hex'),
+      retrievedAt: new Date().toISOString(),
+    };
+    console.log(`Saved ${fileName} (${content.length} bytes)`);
+  }
+
+  fs.writeFileSync(CONFIG.SOURCES_PATH, JSON.stringify({ unicodeVersion: version, files }, null, 2) + '\n', 'utf8');
+  console.log(`Recorded the sources in ${CONFIG.SOURCES_PATH}`);
+}
+
+/**
+ * Get the unicode.org URL of each data file
+ *
+ * @param {String} version - Unicode version, such as 16.0.0
+ * @returns {Object} Object mapping each file name in data/ to its URL
+ */
+function getSourceUrls(version) {
+  const emojiVersion = version.split('.').slice(0, 2).join('.');
+
+  return {
+    'emoji-test.txt': `https://www.unicode.org/Public/emoji/${emojiVersion}/emoji-test.txt`,
+    'emoji-data.txt': `https://www.unicode.org/Public/${version}/ucd/emoji/emoji-data.txt`,
+    'DerivedAge.txt': `https://www.unicode.org/Public/${version}/ucd/DerivedAge.txt`,
+  };
+}
+
+/**
+ * Download a data file
+ *
+ * @param {String} url - URL of the file
+ * @returns {Promise<Buffer>} The file as it is on the server
+ * @throws {Error} When the download fails or the file has no terms of use notice
+ */
+async function download(url) {
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(CONFIG.TIMEOUT) });
+  } catch (error) {
+    throw new Error(`Could not download ${url}: ${(error.cause && error.cause.message) || error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`Could not download ${url}: ${response.status} ${response.statusText}`);
+  }
+
+  const content = Buffer.from(await response.arrayBuffer());
+  if (!content.toString('utf8').includes('unicode.org/terms_of_use')) {
+    throw new Error(`${url} has no Unicode terms of use notice; is it the right file?`);
+  }
+
+  return content;
+}
+
+// Run the main function
+if (require.main === module) {
+  cli.runCommand(command);
+}
+
+module.exports = { command };
@@ -0,0 +1,76 @@
+/**
+ * Word Generation Locales
+ *
+ * generateEmojiWords.js generates words in one language at a time, chosen
+ * with --locale. Every locale keeps its own files, so each language fills in
+ * independently:
+ *
+ *   Locale  Prompt template       Output             State and failure queue
+ *   en      prompts/words.txt     generated_words/   emoji_generator_state.json
+ *   nl      prompts/words.nl.txt  generated_words/nl emoji_generator_state.nl.json
+ *   de      prompts/words.de.txt  generated_words/de emoji_generator_state.de.json
+ *
+ * English keeps the paths from before there were locales. The paths follow
+ * the promptTemplate, generatedDir, statePath and failuresPath settings.
+ *
+ * Each locale also has the letters its words may use, for the alphabet step
+ * of wordValidator.js.
+ */
+
+const path = require('path');
+
+// The locale of the dictionary, with the paths from the settings as they are
+const DEFAULT_LOCALE = 'en';
+
+// Supported locales
+const LOCALES = {
+  en: {
+    language: 'English',
+    // Latin-1 letters too, for loanwords such as café, jalapeño and fiancés
+    alphabet: 'a-zà-öø-ÿ',
+  },
+  nl: {
+    language: 'Dutch',
+    alphabet: 'a-zàáâäçèéêëíîïñóôöúûü',
+  },
+  de: {
+    language: 'German',
+    alphabet: 'a-zäöüßé',
+  },
+};
+
+/**
+ * Get the path of a per-locale file, such as the state file
+ *
+ * @param {String} filePath - Path from the settings
+ * @param {String} locale - Locale code
+ * @returns {String} The path unchanged for the default locale, otherwise with
+ *   the locale before the extension (emoji_generator_state.nl.json)
+ */
+function localizeFilePath(filePath, locale) {
+  if (locale === DEFAULT_LOCALE) {
+    return filePath;
+  }
+
+  const extension = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - extension.length)}.${locale}${extension}`;
+}
+
+/**
+ * Get the output directory of a locale
+ *
+ * @param {String} generatedDir - The generatedDir setting
+ * @param {String} locale - Locale code
+ * @returns {String} generatedDir for the default locale, otherwise a
+ *   subdirectory named after the locale
+ */
+function localizeOutputDir(generatedDir, locale) {
+  return locale === DEFAULT_LOCALE ? generatedDir : path.join(generatedDir, locale);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  localizeFilePath,
+  localizeOutputDir
+};
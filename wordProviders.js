@@ -0,0 +1,323 @@
+/**
+ * Word Generation Providers
+ *
+ * generateEmojiWords.js asks a provider for the words of a batch of emoji.
+ * Every provider takes the same request and answers with the raw response
+ * text, a JSON object from each emoji to its words, which the generator
+ * parses and validates:
+ *
+ *   request = {
+ *     prompt: 'I need 10-20 relevant words or phrases for each of these emoji: ...',
+ *     emoji: [{ emoji: '🐶', name: 'dog face', group: 'Animals & Nature',
+ *               subgroup: 'animal-mammal', keywords: ['dog', 'face', 'pet'] }],
+ *     locale: 'en',
+ *     minWords: 10,
+ *     maxWords: 20
+ *   }
+ *
+ * Providers:
+ * - claude:  runs `claude -p` with the prompt on standard input
+ * - command: runs any command with the request as JSON on standard input; the
+ *            command writes its answer, { "🐶": ["dog", ...] }, to standard output
+ * - http:    posts the prompt to an OpenAI-compatible chat completions
+ *            endpoint, such as a local Ollama, llama.cpp or vLLM server
+ * - offline: answers without a model, from the CLDR keywords and emoji-test.txt
+ *            name of each emoji; the same emoji always get the same words. For
+ *            other locales than en it only uses the CLDR keywords of the locale,
+ *            and leaves out emoji without them
+ *
+ * A provider rejects when it can't answer (missing command, timeout, HTTP
+ * error), so the generator can decide what to do instead. When there was an
+ * answer, such as the output of a command that failed, the error keeps it in
+ * error.output.
+ */
+
+const { spawn } = require('child_process');
+
+// Process groups need POSIX; on Windows a command runs without a group of its
+// own, so Ctrl+C in the console reaches it too
+const SEPARATE_PROCESS_GROUPS = process.platform !== 'win32';
+
+// Commands that are still running, for stopRunningProcesses()
+const runningProcesses = new Set();
+
+// Words of emoji names that say nothing on their own
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'by', 'flag', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+/**
+ * Run a command, write input to its standard input and collect its output
+ *
+ * @param {String} commandLine - Command to run
+ * @param {Array} args - Arguments; with shell, commandLine is run by the shell
+ * @param {String} input - Text for standard input
+ * @param {Object} options - { timeout in milliseconds, shell }
+ * @returns {Promise<String>} Standard output
+ */
+function runProcess(commandLine, args, input, { timeout, shell = false }) {
+  return new Promise((resolve, reject) => {
+    // In a process group of its own, Ctrl+C in the terminal doesn't stop the
+    // request, so the generator can let it finish
+    const child = spawn(commandLine, args, { shell, detached: SEPARATE_PROCESS_GROUPS });
+    let output = '';
+    let errorOutput = '';
+    let timedOut = false;
+
+    const killGroup = signal => killProcess(child, signal);
+    runningProcesses.add(child);
+
+    // Stop the process when it takes too long
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killGroup('SIGTERM');
+      setTimeout(() => {
+        // Force kill if still running after 2 seconds
+        if (child.exitCode === null) killGroup('SIGKILL');
+      }, 2000).unref();
+    }, timeout);
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      runningProcesses.delete(child);
+      reject(new Error(`Could not run ${commandLine}: ${error.message}`));
+    });
+
+    child.stdout.on('data', data => {
+      output += data.toString();
+    });
+
+    child.stderr.on('data', data => {
+      errorOutput += data.toString();
+    });
+
+    child.on('close', code => {
+      clearTimeout(timer);
+      runningProcesses.delete(child);
+
+      if (timedOut) {
+        reject(new Error(`${commandLine} timed out after ${timeout / 1000} seconds`));
+      } else if (code !== 0) {
+        const error = new Error(`${commandLine} exited with code ${code}: ${errorOutput.trim()}`);
+        error.output = output;
+        reject(error);
+      } else {
+        resolve(output);
+      }
+    });
+
+    // The process may exit before reading its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Stop a command started by runProcess(), with the processes it started
+ *
+ * @param {ChildProcess} child - The command
+ * @param {String} signal - Signal to send
+ */
+function killProcess(child, signal) {
+  try {
+    if (SEPARATE_PROCESS_GROUPS) {
+      process.kill(-child.pid, signal);
+    } else {
+      child.kill(signal);
+    }
+  } catch (error) {
+    // Already exited
+  }
+}
+
+/**
+ * Stop all commands that are still running
+ *
+ * Commands run in process groups of their own, so they outlive the generator
+ * when it exits without waiting for them; call this before exiting early.
+ */
+function stopRunningProcesses() {
+  for (const child of runningProcesses) {
+    killProcess(child, 'SIGTERM');
+  }
+  runningProcesses.clear();
+}
+
+/**
+ * Ask the Claude CLI
+ */
+function generateWithClaude(request, options) {
+  return runProcess('claude', ['-p'], request.prompt, { timeout: options.timeout });
+}
+
+/**
+ * Ask an external command, speaking JSON on standard input and output
+ */
+async function generateWithCommand(request, options) {
+  if (!options.command) {
+    throw new Error('The command provider needs a command; set it with --command or providerCommand');
+  }
+
+  const output = await runProcess(options.command, [], JSON.stringify(request), {
+    timeout: options.timeout,
+    shell: true
+  });
+
+  try {
+    JSON.parse(output);
+  } catch (error) {
+    const jsonError = new Error(`${options.command} did not write JSON: ${error.message}`);
+    jsonError.output = output;
+    throw jsonError;
+  }
+
+  return output;
+}
+
+/**
+ * Ask an OpenAI-compatible chat completions endpoint
+ */
+async function generateWithHttp(request, options) {
+  if (!options.model) {
+    throw new Error('The http provider needs a model; set it with --model or providerModel');
+  }
+
+  const url = `${options.url.replace(/\/+$/, '')}/chat/completions`;
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.SYMBOLLIFY_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.SYMBOLLIFY_API_KEY}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: options.model,
+        messages: [{ role: 'user', content: request.prompt }],
+        temperature: 0.7
+      }),
+      signal: AbortSignal.timeout(options.timeout)
+    });
+  } catch (error) {
+    const reason = error.name === 'TimeoutError'
+      ? `timed out after ${options.timeout / 1000} seconds`
+      : (error.cause && error.cause.message) || error.message;
+    throw new Error(`Request to ${url} failed: ${reason}`);
+  }
+
+  const text = await response.text();
+  const fail = message => {
+    const error = new Error(message);
+    error.output = text;
+    return error;
+  };
+
+  if (!response.ok) {
+    throw fail(`${url} answered ${response.status} ${response.statusText}: ${text.slice(0, 200)}`);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw fail(`${url} did not answer JSON: ${error.message}`);
+  }
+
+  const content = body.choices && body.choices[0] && body.choices[0].message && body.choices[0].message.content;
+  if (typeof content !== 'string') {
+    throw fail(`${url} answered without choices[0].message.content`);
+  }
+
+  return content;
+}
+
+/**
+ * Pick words for an emoji without a model
+ *
+ * Takes the CLDR keywords, then the name, then the words of the name and
+ * subgroup, in that order and without duplicates or stop words. The name and
+ * subgroup are English, so other locales only get the keywords.
+ */
+function getOfflineWords(item, maxWords, locale = 'en') {
+  const english = locale === 'en';
+  const candidates = [
+    ...(item.keywords || []),
+    ...(english && item.name ? [item.name] : []),
+    ...(english ? (item.name || '').split(/[\s:,-]+/) : []),
+    ...(english ? (item.subgroup || '').split('-') : [])
+  ];
+
+  const words = [];
+  for (const candidate of candidates) {
+    const word = candidate.toLowerCase().replace(/-/g, ' ').replace(/[^\p{L}\p{N}\s]/gu, '').trim();
+    if (word && !(english && STOP_WORDS.has(word)) && !words.includes(word)) {
+      words.push(word);
+    }
+  }
+
+  return words.slice(0, maxWords);
+}
+
+/**
+ * Answer from the emoji data, as a model would
+ *
+ * Emoji without words are left out, so the generator asks for them alone and
+ * then queues them as failed.
+ */
+async function generateOffline(request) {
+  const locale = request.locale || 'en';
+  const answer = {};
+  for (const item of request.emoji) {
+    const words = getOfflineWords(item, request.maxWords, locale);
+    if (words.length > 0) {
+      answer[item.emoji] = words;
+    }
+  }
+
+  if (Object.keys(answer).length === 0) {
+    throw new Error(`No '${locale}' words for ${request.emoji.map(item => item.emoji).join(' ')}; ` +
+      `import the CLDR annotations of '${locale}' with import-cldr`);
+  }
+  return JSON.stringify(answer);
+}
+
+// Providers by name, for --provider
+const PROVIDERS = {
+  claude: generateWithClaude,
+  command: generateWithCommand,
+  http: generateWithHttp,
+  offline: generateOffline,
+};
+
+// Providers that answer without a model; their words are marked as fallback
+// words in generated_words files
+const FALLBACK_PROVIDERS = ['offline'];
+
+// They only have the words in the emoji data, often fewer than minWords, so
+// their lists need no more than this many words
+const FALLBACK_MIN_WORDS = 1;
+
+/**
+ * Ask a provider for words
+ *
+ * @param {String} name - Provider name, one of the keys of PROVIDERS
+ * @param {Object} request - Request, as described at the top of this file
+ * @param {Object} options - { command, url, model, timeout in milliseconds }
+ * @returns {Promise<String>} The raw response text
+ */
+function generateWords(name, request, options) {
+  if (!PROVIDERS[name]) {
+    return Promise.reject(new Error(`Unknown provider '${name}'. Expected one of: ${Object.keys(PROVIDERS).join(', ')}`));
+  }
+
+  return PROVIDERS[name](request, options);
+}
+
+module.exports = {
+  PROVIDERS,
+  FALLBACK_PROVIDERS,
+  FALLBACK_MIN_WORDS,
+  getOfflineWords,
+  generateWords,
+  stopRunningProcesses
+};
@@ -0,0 +1,155 @@
+/**
+ * Generated Word Validator
+ *
+ * This module cleans up the word lists that generateEmojiWords.js gets from a
+ * provider, and reports what it changed. Each word passes these steps:
+ *
+ * - Entries that are not strings are dropped
+ * - no-emoji:       entries containing emoji are rejected
+ * - Words are trimmed, with single spaces between words
+ * - lowercase:      words are lowercased
+ * - punctuation:    punctuation is removed, as the translator ignores it
+ * - no-digits-only: entries of only digits are rejected
+ * - alphabet:       entries with letters outside the alphabet of the locale
+ *                   (see wordLocales.js) are rejected, such as answers in
+ *                   another language or script
+ * - phrase-length:  phrases longer than maxPhraseWords words are rejected
+ * - blocklist:      entries that are, or contain, a blocked word are rejected
+ * - Duplicates are dropped, and the list is cut at maxWords
+ * - Lists with fewer than minWords words are not accepted: the report has an
+ *   error, and generateEmojiWords.js asks again or queues the emoji as failed
+ *
+ * The named steps can be switched off with the validationSteps setting (see
+ * config.js); the others always apply.
+ */
+
+// Steps that can be switched on and off, in the order they run
+const VALIDATION_STEPS = ['no-emoji', 'lowercase', 'punctuation', 'no-digits-only', 'alphabet', 'phrase-length', 'blocklist'];
+
+// Emoji characters, flags and keycaps; plain digits and # are Emoji too, so
+// they only count with an emoji selector or keycap
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\uFE0F|\u20E3/u;
+
+/**
+ * Validate and normalize a word list
+ *
+ * @param {Array} words - Words as answered by the provider
+ * @param {Object} options - { steps, minWords, maxWords, maxPhraseWords,
+ *   blocklist, alphabet }, where alphabet is a character class body such
+ *   as 'a-zäöüß'; without it the alphabet step doesn't apply
+ * @returns {Object} { words, fixed: [{ from, to, reasons }],
+ *   rejected: [{ word, reason }], warnings: [String], error }, where error
+ *   is set when there are fewer than minWords words left
+ */
+function validateWords(words, options) {
+  const steps = new Set(options.steps || VALIDATION_STEPS);
+  const blocklist = new Set((options.blocklist || []).map(word => word.toLowerCase()));
+  const alphabet = options.alphabet ? new RegExp(`^[${options.alphabet}\\p{N} ]+$`, 'iu') : null;
+  const report = { words: [], fixed: [], rejected: [], warnings: [], error: null };
+
+  for (const original of words) {
+    if (typeof original !== 'string') {
+      report.rejected.push({ word: JSON.stringify(original), reason: 'not a string' });
+      continue;
+    }
+
+    if (steps.has('no-emoji') && EMOJI_PATTERN.test(original)) {
+      report.rejected.push({ word: original, reason: 'contains emoji' });
+      continue;
+    }
+
+    let word = original.trim().replace(/\s+/g, ' ');
+    const reasons = [];
+    if (word !== original) reasons.push('trimmed');
+
+    if (steps.has('lowercase') && word !== word.toLowerCase()) {
+      word = word.toLowerCase();
+      reasons.push('lowercased');
+    }
+
+    if (steps.has('punctuation')) {
+      const stripped = word.replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+      if (stripped !== word) {
+        word = stripped;
+        reasons.push('punctuation removed');
+      }
+    }
+
+    if (word === '') {
+      report.rejected.push({ word: original, reason: 'empty' });
+      continue;
+    }
+
+    if (steps.has('no-digits-only') && /^[\d\s]+$/.test(word)) {
+      report.rejected.push({ word: original, reason: 'digits only' });
+      continue;
+    }
+
+    if (steps.has('alphabet') && alphabet && !alphabet.test(word)) {
+      report.rejected.push({ word: original, reason: 'letters outside the alphabet' });
+      continue;
+    }
+
+    const phraseWords = word.split(' ');
+    if (steps.has('phrase-length') && phraseWords.length > options.maxPhraseWords) {
+      report.rejected.push({ word: original, reason: `more than ${options.maxPhraseWords} words` });
+      continue;
+    }
+
+    if (steps.has('blocklist') && (blocklist.has(word) || phraseWords.some(part => blocklist.has(part)))) {
+      report.rejected.push({ word: original, reason: 'blocklisted' });
+      continue;
+    }
+
+    if (report.words.includes(word)) {
+      report.rejected.push({ word: original, reason: 'duplicate' });
+      continue;
+    }
+
+    if (reasons.length > 0) {
+      report.fixed.push({ from: original, to: word, reasons });
+    }
+    report.words.push(word);
+  }
+
+  if (report.words.length > options.maxWords) {
+    report.warnings.push(`kept the first ${options.maxWords} of ${report.words.length} words`);
+    report.words = report.words.slice(0, options.maxWords);
+  }
+  if (report.words.length < options.minWords) {
+    report.error = `only ${report.words.length} valid words, expected at least ${options.minWords}`;
+  }
+
+  return report;
+}
+
+/**
+ * Format a validation report for the console
+ *
+ * @param {String} emoji - The emoji the words are for
+ * @param {Object} report - Result of validateWords()
+ * @returns {Array} Lines, empty when nothing was fixed or rejected
+ */
+function formatReport(emoji, report) {
+  const lines = [
+    ...report.fixed.map(({ from, to, reasons }) => `  fixed ${JSON.stringify(from)} -> ${JSON.stringify(to)} (${reasons.join(', ')})`),
+    ...report.rejected.map(({ word, reason }) => `  rejected ${JSON.stringify(word)} (${reason})`),
+    ...report.warnings.map(warning => `  ${warning}`),
+    ...(report.error ? [`  ${report.error}`] : []),
+  ];
+
+  if (lines.length === 0) {
+    return [];
+  }
+
+  return [
+    `Validated ${emoji}: ${report.fixed.length} fixed, ${report.rejected.length} rejected, ${report.words.length} kept`,
+    ...lines
+  ];
+}
+
+module.exports = {
+  VALIDATION_STEPS,
+  validateWords,
+  formatReport
+};